@@ -1,33 +1,18 @@
 'use strict';
 
-import vm from 'vm';
+import path from 'path';
 import colors from 'ansi-colors';
 import PluginError from 'plugin-error';
-import bemNamingParser from 'parse-bem-identifier';
 import through2 from 'through2';
-import { TopologicalSort } from 'topological-sort';
+import Vinyl from 'vinyl';
 
-import collectStreamFiles from './lib/collect-stream-files';
-import bemNamingToClassname from './lib/bem-naming-to-classname';
-import getFileStem from './lib/get-file-stem';
-
-const PLUGIN_NAME = 'gulp-order-bemdeps';
-const BEM_NAMING_PARSED_KEYS = ['block', 'mod', 'modVal', 'elem', 'elemMod', 'elemVal'];
-
-/**
- * Helper function
- * Detects whether stem is block-only or not
- *
- * @param {Object} bemNaming - object got from bemNamingParser
- * @return {Boolean}
- */
-function isBlockBemNaming(bemNaming) {
-    return BEM_NAMING_PARSED_KEYS.every(key => {
-        return key === 'block'
-            ? bemNaming[key] !== undefined
-            : bemNaming[key] === undefined;
-    });
-}
+import collectDepsFiles from './lib/collect-deps-files';
+import createDepsCache from './lib/create-deps-cache';
+import explainOrder from './lib/explain-order';
+import graphToDot from './lib/graph-to-dot';
+import normalizeOptions from './lib/options';
+import resolveOrder from './lib/resolve-order';
+import {PLUGIN_NAME} from './lib/constants';
 
 /**
  * Helper function
@@ -59,152 +44,90 @@ function getStreamAndPromiseForInputStream() {
 }
 
 /**
- * Flatten dependencies from deps.js files
+ * Helper function
+ * Builds index file which lists ordered files instead of pushing them into the stream
  *
- * @return {Array<String>}
- * @see https://en.bem.info/technology/deps/about/#depsjs-syntax
+ * @param {Array<Vinyl>} files
+ * @param {Object} indexOptions - normalized index options: {path, template, base}
+ * @return {Vinyl}
  */
-function flattenDepsJS(deps) {
-    let output = [];
-
-    if (!Array.isArray(deps)) {
-        deps = [deps];
-    }
-
-    deps.forEach(dependency => {
-        if (dependency.tech || dependency.noDeps) {
-            return;
-        }
-
-        if (dependency.mustDeps) {
-            output = output.concat(flattenDepsJS(dependency.mustDeps));
-            return;
-        }
-
-        let dependencyStem = dependency.block;
-
-        if (typeof dependency.mods === 'object') {
-            if (Array.isArray(dependency.mods)) {
-                for (let modName of dependency.mods) {
-                    output.push(`${dependencyStem}_${modName}`);
-                }
-            } else {
-                Object.keys(dependency.mods).forEach(modName => {
-                    const modVal = dependency.mods[modName];
-
-                    if (Array.isArray(modVal)) {
-                        for (let modFinalVal of modVal) {
-                            output.push(`${dependencyStem}_${modName}_${modFinalVal}`);
-                        }
-                    } else if (typeof modVal === 'boolean') {
-                        output.push(`${dependencyStem}_${modName}`);
-                    } else {
-                        output.push(`${dependencyStem}_${modName}_${modVal}`);
-                        output.push(`${dependencyStem}_${modName}`);
-                    }
-                });
-            }
-        } else if (Array.isArray(dependency.elems)) {
-            for (let elem of dependency.elems) {
-                output.push(`${dependencyStem}__${elem}`);
-            }
-        } else {
-            if (dependency.mod) {
-                dependencyStem += `_${dependency.mod}`;
-            }
-
-            if (dependency.val) {
-                dependencyStem += `_${dependency.val}`;
-            }
-
-            if (dependency.elem) {
-                dependencyStem += `__${dependency.elem}`;
-
-                let {elemMods} = dependency;
-
-                if (elemMods) {
-                    Object.keys(elemMods).forEach(modName => {
-                        let modVal = elemMods[modName];
-
-                        dependencyStem += `_${modName}`;
-                        output.push(dependencyStem);
-
-                        if (typeof modVal !== 'boolean') {
-                            dependencyStem += `_${modVal}`;
-                        }
-                    });
-                }
-            }
-
-            output.push(dependencyStem);
-        }
+function createIndexFile(files, {path: indexPath, template, base}) {
+    const lines = files.map(file => template(path.relative(base, file.path).split(path.sep).join('/')));
+
+    return new Vinyl({
+        cwd: process.cwd(),
+        base: process.cwd(),
+        path: indexPath,
+        contents: Buffer.from(lines.length ? `${lines.join('\n')}\n` : '')
     });
-
-    return output;
 }
 
 /**
- * Parse deps.js file contents into flat set of dependencies
- *
- * @param {String} contents
- * @return {Set<String>}
- */
-function parseDependencies(contents) {
-    let deps = vm.runInThisContext(contents);
-    return new Set(flattenDepsJS(deps).filter(Boolean));
-}
-
-/**
- * Build block/element basic dependencies from file name
- * What is basic dependency?
- * If file stem is `block__elem` then it is Set(`block`)
- * If file stem is `block_mod_val__elem` then it is Set(`block`, `block_mod_val`)
+ * Helper function
+ * Builds vinyl files of the dependency graph which should be pushed into the stream
  *
- * @param {String} stem
- * @return {Array<String>}
+ * @param {Object} graph - graph object built by resolveOrder()
+ * @param {Object} graphOptions - {json, dot}
+ * @return {Array<Vinyl>}
  */
-function buildBasicDependencies(stem) {
-    const bemNaming = bemNamingParser(stem);
+function createGraphFiles(graph, {json, dot}) {
     const output = [];
+    const createFile = (filePath, contents) => new Vinyl({
+        cwd: process.cwd(),
+        base: process.cwd(),
+        path: path.resolve(filePath),
+        contents: Buffer.from(contents)
+    });
 
-    // validate bem naming
-    const isBadNaming = BEM_NAMING_PARSED_KEYS.some(key => bemNaming[key] === '');
-    if (isBadNaming) {
-        throw new PluginError(PLUGIN_NAME, `Invalid bem naming used: ${stem}`, {showStack: true});
-    }
-
-    if (isBlockBemNaming(bemNaming)) {
-        return output;
+    if (json) {
+        output.push(createFile(json, JSON.stringify(graph, null, 2)));
     }
 
-    if (bemNaming.elemModVal) {
-        delete bemNaming.elemModVal;
-    } else if (bemNaming.elemMod) {
-        delete bemNaming.elemMod;
-    } else if (bemNaming.elem) {
-        delete bemNaming.elem;
-    } else if (bemNaming.modVal) {
-        delete bemNaming.modVal;
-    } else if (bemNaming.mod) {
-        delete bemNaming.mod;
+    if (dot) {
+        output.push(createFile(dot, graphToDot(graph)));
     }
 
-    const dependencyStem = bemNamingToClassname(bemNaming);
-    output.push(dependencyStem);
+    return output;
+}
 
-    return output.concat(buildBasicDependencies(dependencyStem));
+/**
+ * Helper function
+ * Returns logger from the options which can't be normalized, `console` if logger option is invalid too
+ *
+ * @param {*} options - plugin options
+ * @return {Object}
+ */
+function getLogger(options) {
+    try {
+        return normalizeOptions({logger: options && options.logger}).logger;
+    } catch (err) {
+        return console;
+    }
 }
 
 /**
- * BEM files reorder
- * It takes deps.js files stream as an argument and reorders input files based on built dependency tree
- * Uses topological sort for building dependency tree.
+ * Helper function
+ * Reorders input files stream using deps.js files stream
  *
- * @param {Stream} deps - stream of vinyl deps files (use gulp.src() for this)
+ * @param {Stream|String|Array<String|Vinyl>|Object} deps - deps files, see gulpOrderBemDeps()
+ * @param {Object} [options] - plugin options
+ * @param {Object|null} cache - cache created by createDepsCache() or null
  * @return {Stream}
  */
-export default function gulpOrderBemDeps(deps) {
-    let streamCtx;
+function orderFiles(deps, options, cache) {
+    let normalizedOptions;
+    let depsPromise;
+
+    // invalid options and deps are emitted on the output stream like all the other errors
+    try {
+        normalizedOptions = normalizeOptions(options);
+        depsPromise = collectDepsFiles(deps, normalizedOptions.depsSuffix);
+    } catch (err) {
+        depsPromise = Promise.reject(err);
+    }
+
+    const {graph, index, logger} = normalizedOptions || {logger: getLogger(options)};
+    let failed = false;
 
     // wait for all input files
     const {
@@ -212,81 +135,117 @@ export default function gulpOrderBemDeps(deps) {
         promise: inputPromise
     } = getStreamAndPromiseForInputStream();
 
-    Promise.all([
-        collectStreamFiles(deps),
-        inputPromise
-    ]).then(([depsFiles, {files, ctx, closeStreamCallback}]) => {
-        streamCtx = ctx;
-
-        // we need to merge files (input stream) with depsFiles (function argument stream)
-        // output should also contain basic dependencies (`block` for `block__elem`)
-        // we also need to distinguish between existing files in the merged set
-        // and those which don't exist (there's no such file in `files` array)
-        const mergedNodes = new Map;
-        const edges = [];
-
-        // first add all dependencies with their dependencies
-        for (let dependencyFile of depsFiles) {
-            const stem = getFileStem(dependencyFile.path, '.deps.js');
-            const stemDependencies = parseDependencies(dependencyFile.contents.toString('utf8'));
-
-            if (!mergedNodes.has(stem)) {
-                mergedNodes.set(stem, {});
-            }
+    // every failure is logged and emitted on the output stream only once
+    const fail = err => {
+        if (failed) {
+            return;
+        }
 
-            for (let dependencyStem of stemDependencies) {
-                if (!mergedNodes.has(dependencyStem)) {
-                    mergedNodes.set(dependencyStem, {});
-                }
+        failed = true;
 
-                edges.push([dependencyStem, stem]);
-            }
-        }
+        const pluginError = (err && err.plugin) ? err : new PluginError(PLUGIN_NAME, err);
+        logger.error(colors.red(pluginError.message));
+        output.emit('error', pluginError);
+    };
 
-        // then add all files and their basic dependencies
-        for (let inputFile of files) {
-            const stem = getFileStem(inputFile.path);
-            const mergedNode = mergedNodes.get(stem) || {};
-            mergedNode.file = inputFile;
-            mergedNodes.set(stem, mergedNode);
+    // errors of the streams which are piped into the plugin are not forwarded by pipe()
+    output.on('pipe', source => source.on('error', fail));
 
-            const fileDependencies = buildBasicDependencies(stem);
+    Promise.all([
+        depsPromise,
+        inputPromise
+    ]).then(([depsFiles, {files, ctx, closeStreamCallback}]) => {
+        if (failed) {
+            return;
+        }
 
-            for (let i = 0; i < fileDependencies.length; i++) {
-                const dependencyFileStem = fileDependencies[i];
+        let result;
 
-                if (!mergedNodes.has(dependencyFileStem)) {
-                    mergedNodes.set(dependencyFileStem, {});
+        try {
+            result = resolveOrder({files, deps: depsFiles, options, cache});
+        } catch (err) {
+            // graph of files which can't be ordered is pushed anyway to debug circular dependencies
+            if (err.graph) {
+                for (let graphFile of createGraphFiles(err.graph, graph)) {
+                    ctx.push(graphFile);
                 }
-
-                const toEdgeKey = (i === 0) ? stem : fileDependencies[i - 1];
-                edges.push([fileDependencies[i], toEdgeKey]);
             }
-        }
 
-        const sortOp = new TopologicalSort(mergedNodes);
-        for (let [fromKey, toKey] of edges) {
-            sortOp.addEdge(fromKey, toKey);
+            throw err;
         }
 
-        const sorted = sortOp.sort();
-
-        for (let [, value] of sorted) {
-            if (value.file) {
-                ctx.push(value.file);
+        if (index) {
+            ctx.push(createIndexFile(result.files, index));
+        } else if (result.chunks) {
+            // files are tagged so that chunks can be routed to different outputs
+            for (let chunk of result.chunks) {
+                for (let file of chunk.files) {
+                    file.bemChunk = chunk.name;
+                    ctx.push(file);
+                }
             }
+        } else {
+            for (let file of result.files) {
+                ctx.push(file);
+            }
+        }
+
+        for (let graphFile of createGraphFiles(result.graph, graph)) {
+            ctx.push(graphFile);
         }
 
         // close stream
         closeStreamCallback();
-    }).catch(err => {
-        /* eslint-disable no-console */
-        console.error(colors.red(err.message));
-        console.error(err.toString());
-        /* eslint-enable no-console */
-
-        streamCtx.emit('error', err);
-    });
+    }).catch(fail);
 
     return output;
 }
+
+/**
+ * BEM files reorder
+ * It takes deps.js files stream as an argument and reorders input files based on built dependency tree
+ * Uses topological sort for building dependency tree, files without dependencies between them keep input order.
+ *
+ * @param {Stream|String|Array<String|Vinyl>|Object} deps - stream of vinyl deps files (use gulp.src() for this),
+ * glob or list of globs, list of vinyl files or object map of deps declarations: {stem: declaration}
+ * @param {Object} [options]
+ * @param {Array<String>} [options.levels] - redefinition levels directories, from library ones to project ones
+ * @param {String|Object} [options.naming] - naming preset name or custom delimiters: {elem, mod, modVal}
+ * @param {String|Object} [options.basicDeps] - basic dependencies preset name or custom rules: {rules, booleanMods}
+ * @param {String} [options.layout] - file system layout: flat or nested (block/__elem/_mod directories)
+ * @param {Array<String>} [options.techs] - technologies order, files are grouped by technology if it's set
+ * @param {Array<String|Object>|String} [options.roots] - root entities or declaration file path, only files required by them are pushed
+ * @param {Object} [options.chunks] - split files into chunks: {roots: {name: roots}, common}, files get `bemChunk` property
+ * @param {Boolean} [options.reportPruned] - print files which are not required by roots
+ * @param {String|Array<String>} [options.depsSuffix] - suffixes of deps files, `.deps.js` and `.deps.json` by default
+ * @param {Number} [options.depsTimeout] - deps file evaluation timeout in milliseconds
+ * @param {Object} [options.graph] - dependency graph export: {json, dot, callback}
+ * @param {Object} [options.index] - push generated index file instead of ordered files: {path, template, base}
+ * @param {String} [options.cycles] - report only the first circular dependency or all of them
+ * @param {String} [options.order] - order of files without dependencies between them: input or alphabetical
+ * @param {Object} [options.report] - missing and unused entities report severities: {missing, unused, orphanDeps}
+ * @param {Array<Array<String>>} [options.explain] - pairs of entities whose relative order is explained in the log
+ * @param {Boolean} [options.bestEffort] - order files anyway if deps files, BEM naming or dependencies are invalid
+ * @param {Object|Boolean} [options.logger] - object with warn() and error() methods, `console` by default
+ * @return {Stream}
+ */
+export default function gulpOrderBemDeps(deps, options) {
+    return orderFiles(deps, options, null);
+}
+
+/**
+ * Create reusable plugin instance for incremental rebuilds, e.g. under gulp.watch
+ * Parsed deps.js files are cached between runs by path and contents hash, so only new and changed deps.js files
+ * are evaluated again and only their nodes and edges of the cached graph are patched. Files are sorted on every run
+ *
+ * @param {Object} [options] - plugin options, see gulpOrderBemDeps()
+ * @return {Function} plugin function which takes deps files and returns stream
+ */
+function createInstance(options) {
+    normalizeOptions(options);
+
+    const cache = createDepsCache();
+    return deps => orderFiles(deps, options, cache);
+}
+
+export {createDepsCache, createInstance, explainOrder, graphToDot, resolveOrder};
@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * Helper function
+ * Returns copy of BEM naming object without the given keys
+ *
+ * @param {Object} bemNaming
+ * @param {Array<String>} keys
+ * @return {Object}
+ */
+function omit(bemNaming, keys) {
+    const output = Object.assign({}, bemNaming);
+
+    for (let key of keys) {
+        delete output[key];
+    }
+
+    return output;
+}
+
+/**
+ * Basic dependencies rules: BEM naming object -> list of BEM naming objects which entity directly depends on
+ * Rules are applied to the found dependencies too, so only direct dependencies should be returned
+ */
+export const BASIC_DEPS_RULES = {
+    // block_mod_val__elem_mod_val -> block_mod_val__elem_mod -> block_mod_val__elem -> block_mod_val -> block_mod -> block
+    parent(bemNaming) {
+        const key = ['elemModVal', 'elemMod', 'elem', 'modVal', 'mod'].find(key => bemNaming[key]);
+        return key ? [omit(bemNaming, [key])] : [];
+    },
+
+    // the same chain without boolean modifiers: block_mod_val -> block, block__elem_mod_val -> block__elem
+    parentSkippingBooleanMods(bemNaming) {
+        if (bemNaming.elemMod) {
+            return [omit(bemNaming, ['elemMod', 'elemModVal'])];
+        }
+
+        if (bemNaming.elem) {
+            return [omit(bemNaming, ['elem'])];
+        }
+
+        return bemNaming.mod ? [omit(bemNaming, ['mod', 'modVal'])] : [];
+    },
+
+    // element of the modified block depends on the element itself: block_mod_val__elem -> block__elem
+    elemOfModifiedBlock(bemNaming) {
+        return (bemNaming.elem && bemNaming.mod) ? [omit(bemNaming, ['mod', 'modVal'])] : [];
+    }
+};
+
+/**
+ * Basic dependencies presets
+ * `rules` are names of BASIC_DEPS_RULES or functions,
+ * `booleanMods` means that deps.js entries with modifier value also refer to the boolean modifier
+ */
+export default {
+    default: {rules: ['parent'], booleanMods: true},
+    none: {rules: [], booleanMods: false}
+};
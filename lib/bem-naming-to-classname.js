@@ -1,26 +1,35 @@
 'use strict';
 
-export default function BEMNamingToClassname(bemNaming) {
+import namingPresets from './naming-presets';
+
+/**
+ * Stringify BEM naming object into class name
+ *
+ * @param {Object} bemNaming - {block, mod, modVal, elem, elemMod, elemModVal}
+ * @param {Object} [naming] - naming delimiters: {elem, mod, modVal}
+ * @return {String}
+ */
+export default function BEMNamingToClassname(bemNaming, naming = namingPresets.origin) {
     let output = bemNaming.block;
 
     if (bemNaming.mod) {
-        output += `_${bemNaming.mod}`;
+        output += `${naming.mod}${bemNaming.mod}`;
     }
 
     if (bemNaming.modVal) {
-        output += `_${bemNaming.modVal}`;
+        output += `${naming.modVal}${bemNaming.modVal}`;
     }
 
     if (bemNaming.elem) {
-        output += `__${bemNaming.elem}`;
+        output += `${naming.elem}${bemNaming.elem}`;
     }
 
     if (bemNaming.elemMod) {
-        output += `_${bemNaming.elemMod}`;
+        output += `${naming.mod}${bemNaming.elemMod}`;
     }
 
     if (bemNaming.elemModVal) {
-        output += `_${bemNaming.elemModVal}`;
+        output += `${naming.modVal}${bemNaming.elemModVal}`;
     }
 
     return output;
@@ -0,0 +1,42 @@
+'use strict';
+
+/**
+ * Build serializable dependency graph
+ * Nodes are entity technologies, they are virtual if there's no input file for them.
+ * Edges go from dependency to dependent node, every edge has a list of origins:
+ * deps.js files which declare it or basic dependency which comes from BEM naming
+ *
+ * @param {Map<String, Object>} nodes - node key -> {stem, tech, files}
+ * @param {Map<String, Map<String, Object>>} edges - source node key -> (target node key -> {strength, origins, relaxed})
+ * @return {Object} {nodes, edges}
+ */
+export default function buildGraph(nodes, edges) {
+    const output = {
+        nodes: [],
+        edges: []
+    };
+
+    for (let [key, {stem, tech, files}] of nodes) {
+        output.nodes.push({
+            id: key,
+            entity: stem,
+            tech,
+            files: (files || []).map(({file}) => file.path),
+            virtual: !files
+        });
+    }
+
+    for (let [fromKey, targets] of edges) {
+        for (let [toKey, {strength, origins, relaxed}] of targets) {
+            output.edges.push({
+                from: fromKey,
+                to: toKey,
+                strength,
+                origins: origins.map(origin => Object.assign({}, origin)),
+                relaxed: Boolean(relaxed)
+            });
+        }
+    }
+
+    return output;
+}
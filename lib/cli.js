@@ -0,0 +1,212 @@
+'use strict';
+
+import path from 'path';
+import expandGlobs from './expand-globs';
+import normalizeOptions from './options';
+import resolveOrder from './resolve-order';
+
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+/**
+ * Command line options: alias, whether option can be repeated and whether it has no value
+ */
+const CLI_OPTIONS = {
+    deps: {alias: 'd', multiple: true},
+    format: {alias: 'f'},
+    level: {alias: 'l', multiple: true},
+    tech: {alias: 't', multiple: true},
+    root: {alias: 'r', multiple: true},
+    decl: {},
+    naming: {},
+    layout: {},
+    order: {},
+    cycles: {},
+    help: {alias: 'h', flag: true}
+};
+
+/**
+ * Output formats: ordered paths -> output text
+ */
+const FORMATS = {
+    plain: files => files.join('\n'),
+    json: files => JSON.stringify(files, null, 2),
+    imports: files => files.map(file => `@import "${file}";`).join('\n')
+};
+
+const USAGE = `Usage: gulp-order-bemdeps [options] <files...>
+
+Prints input files ordered according to deps.js files.
+Input files and deps files are glob patterns.
+
+Options:
+  -d, --deps <glob>      deps.js files, can be repeated
+  -f, --format <format>  output format: ${Object.keys(FORMATS).join(', ')} (default: plain)
+  -l, --level <dir>      redefinition level, from library ones to project ones, can be repeated
+  -t, --tech <tech>      technologies order, can be repeated
+  -r, --root <entity>    root entity, only files required by roots are printed, can be repeated
+      --decl <file>      bemdecl.js or JSON declaration file with root entities
+      --naming <naming>  naming preset: origin, two-dashes or react
+      --layout <layout>  file system layout: flat or nested
+      --order <order>    order of files without dependencies between them: input or alphabetical
+      --cycles <mode>    circular dependencies report: first or all
+  -h, --help             print this help
+
+Exit codes: 0 - success, 1 - files can't be ordered, 2 - invalid arguments`;
+
+/**
+ * Helper function
+ * Parses command line arguments
+ * Options can be passed both as `--name value` and `--name=value`
+ *
+ * @param {Array<String>} argv
+ * @return {Object} option name -> value, `files` contains positional arguments
+ * @throws {Error} if arguments are invalid
+ */
+function parseArgs(argv) {
+    const args = {files: []};
+    const names = new Map;
+
+    for (let name of Object.keys(CLI_OPTIONS)) {
+        names.set(`--${name}`, name);
+
+        if (CLI_OPTIONS[name].alias) {
+            names.set(`-${CLI_OPTIONS[name].alias}`, name);
+        }
+    }
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (!arg.startsWith('-') || arg === '-') {
+            args.files.push(arg);
+            continue;
+        }
+
+        const valueIndex = arg.indexOf('=');
+        const key = (valueIndex === -1) ? arg : arg.slice(0, valueIndex);
+        const name = names.get(key);
+
+        if (!name) {
+            throw new Error(`Unknown option: ${key}`);
+        }
+
+        const {multiple, flag} = CLI_OPTIONS[name];
+        if (flag) {
+            args[name] = true;
+            continue;
+        }
+
+        const value = (valueIndex === -1) ? argv[++i] : arg.slice(valueIndex + 1);
+        if (value === undefined || value === '') {
+            throw new Error(`Option ${key} requires a value`);
+        }
+
+        args[name] = multiple ? (args[name] || []).concat(value) : value;
+    }
+
+    if (args.format && !FORMATS.hasOwnProperty(args.format)) {
+        throw new Error(`Unknown format: ${args.format}`);
+    }
+
+    if (args.root && args.decl) {
+        throw new Error('Options --root and --decl can\'t be used together');
+    }
+
+    return args;
+}
+
+/**
+ * Helper function
+ * Builds plugin options from command line arguments
+ *
+ * @param {Object} args - parsed arguments
+ * @param {String} cwd
+ * @param {Object} logger
+ * @return {Object}
+ */
+function buildOptions(args, cwd, logger) {
+    const options = {logger};
+
+    if (args.level) {
+        options.levels = args.level.map(level => path.resolve(cwd, level));
+    }
+
+    if (args.tech) {
+        options.techs = args.tech;
+    }
+
+    if (args.root) {
+        options.roots = args.root;
+    }
+
+    if (args.decl) {
+        options.roots = path.resolve(cwd, args.decl);
+    }
+
+    for (let name of ['naming', 'layout', 'order', 'cycles']) {
+        if (args[name]) {
+            options[name] = args[name];
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Run command line tool
+ *
+ * @param {Array<String>} argv - command line arguments without node and script paths
+ * @param {Object} [io]
+ * @param {String} [io.cwd] - directory which globs and printed paths are relative to
+ * @param {Stream} [io.stdout]
+ * @param {Stream} [io.stderr]
+ * @return {Number} exit code
+ */
+export default function run(argv, {cwd = process.cwd(), stdout = process.stdout, stderr = process.stderr} = {}) {
+    const logger = {
+        warn: message => stderr.write(`${message}\n`),
+        error: message => stderr.write(`${message}\n`)
+    };
+
+    let args;
+    let options;
+
+    try {
+        args = parseArgs(argv);
+
+        if (args.help) {
+            stdout.write(`${USAGE}\n`);
+            return EXIT_SUCCESS;
+        }
+
+        if (!args.files.length) {
+            throw new Error('No input files are set');
+        }
+
+        options = buildOptions(args, cwd, logger);
+        normalizeOptions(options);
+    } catch (err) {
+        stderr.write(`${err.message}\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+
+    try {
+        const {files} = resolveOrder({
+            files: expandGlobs(args.files, cwd),
+            deps: expandGlobs(args.deps || [], cwd),
+            options
+        });
+
+        const format = FORMATS[args.format || 'plain'];
+        const output = format(files.map(filePath => path.relative(cwd, filePath)));
+
+        stdout.write(output ? `${output}\n` : '');
+    } catch (err) {
+        logger.error(err.message);
+        return EXIT_FAILURE;
+    }
+
+    return EXIT_SUCCESS;
+}
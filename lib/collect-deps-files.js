@@ -0,0 +1,60 @@
+'use strict';
+
+import path from 'path';
+import PluginError from 'plugin-error';
+import collectStreamFiles from './collect-stream-files';
+import {PLUGIN_NAME} from './constants';
+import expandGlobs from './expand-globs';
+
+const isNonEmptyString = value => typeof value === 'string' && value.length > 0;
+const isPlainObject = value => Object.prototype.toString.call(value) === '[object Object]';
+const isStream = value => Boolean(value) && typeof value.pipe === 'function' && typeof value.on === 'function';
+const isFile = value => Boolean(value) && typeof value === 'object' && isNonEmptyString(value.path);
+const isDeclaration = value => isPlainObject(value) || Array.isArray(value);
+
+/**
+ * Collect deps files from the plugin deps argument
+ * Deps can be a stream of vinyl files, a glob or a list of globs, a list of vinyl files
+ * or an object map of deps declarations: {stem: declaration}
+ *
+ * @param {Stream|String|Array<String|Vinyl>|Object} deps
+ * @param {Array<String>} depsSuffixes - object map keys get the first suffix
+ * @return {Promise<Array>} deps files which can be passed to resolveOrder()
+ * @throws {PluginError} if deps argument is invalid
+ */
+export default function collectDepsFiles(deps, depsSuffixes) {
+    if (isStream(deps)) {
+        // listeners of ended stream are never called
+        if (deps._readableState && deps._readableState.endEmitted) {
+            throw new PluginError(PLUGIN_NAME, 'Deps stream has already ended, pass a new stream (e.g. gulp.src()) on every run');
+        }
+
+        return collectStreamFiles(deps);
+    }
+
+    if (isNonEmptyString(deps)) {
+        return Promise.resolve(expandGlobs([deps]));
+    }
+
+    if (Array.isArray(deps) && deps.every(isNonEmptyString)) {
+        return Promise.resolve(expandGlobs(deps));
+    }
+
+    if (Array.isArray(deps) && deps.every(isFile)) {
+        return Promise.resolve(deps);
+    }
+
+    if (isPlainObject(deps)) {
+        const invalidStem = Object.keys(deps).find(stem => !isDeclaration(deps[stem]));
+        if (invalidStem !== undefined) {
+            throw new PluginError(PLUGIN_NAME, `Invalid deps declaration of ${invalidStem}: expected object or array`);
+        }
+
+        return Promise.resolve(Object.keys(deps).map(stem => ({
+            path: path.resolve(`${stem}${depsSuffixes[0]}`),
+            declaration: deps[stem]
+        })));
+    }
+
+    throw new PluginError(PLUGIN_NAME, 'Invalid deps: expected stream of vinyl files, glob, list of globs, list of vinyl files or object map of deps declarations');
+}
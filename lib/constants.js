@@ -0,0 +1,3 @@
+'use strict';
+
+export const PLUGIN_NAME = 'gulp-order-bemdeps';
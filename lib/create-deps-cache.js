@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Create cache of parsed deps.js files which can be shared between runs, e.g. under gulp.watch
+ * Parsed dependencies are stored by deps.js file path with the hash of its contents,
+ * basic dependencies are stored by entity stem. Graph of deps.js files keeps contribution of every file
+ * to its nodes and edges, so only contributions of added, changed and removed deps.js files are patched.
+ * Entries of deps.js files and entities which disappear from the input are dropped on every run
+ *
+ * @return {Object} {parsed, basic, graph}
+ */
+export default function createDepsCache() {
+    return {
+        parsed: new Map,
+        basic: new Map,
+        graph: {
+            techs: null,
+            files: new Map,
+            nodes: new Map,
+            edges: new Map
+        }
+    };
+}
@@ -0,0 +1,113 @@
+'use strict';
+
+import vm from 'vm';
+import PluginError from 'plugin-error';
+import {PLUGIN_NAME} from './constants';
+
+const SERIALIZE = '__serializeDeps';
+const RESULT = '__depsResult';
+
+// module objects and serializer are created inside the context before deps file code runs:
+// host objects lead to the host Function through `constructor`, non-writable serializer can't be replaced
+// deps file is a CommonJS module if it has reassigned or filled `module.exports`, otherwise it's an expression
+const SETUP_SOURCE = `(function (global, stringify, keys) {
+    var module = {exports: {}};
+    var exports = module.exports;
+
+    global.module = module;
+    global.exports = exports;
+
+    Object.defineProperty(global, '${SERIALIZE}', {
+        value: function (result) {
+            var isModule = module.exports !== exports || keys(exports).length > 0;
+            return stringify(isModule ? module.exports : result);
+        }
+    });
+})(this, JSON.stringify, Object.keys);`;
+
+/**
+ * Helper function
+ * Escapes string to be used inside regular expression
+ *
+ * @param {String} str
+ * @return {String}
+ */
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Helper function
+ * Finds line and column of the evaluation error inside deps file
+ *
+ * @param {Error} err
+ * @param {String} filePath
+ * @return {Object|null} {line, column}
+ */
+function getErrorPosition(err, filePath) {
+    const stack = String(err && err.stack);
+
+    // runtime errors have stack frame pointing to the deps file: "at /path/to/block.deps.js:2:6"
+    const frameMatch = stack.match(new RegExp(`${escapeRegExp(filePath)}:(\\d+):(\\d+)`));
+    if (frameMatch) {
+        return {line: Number(frameMatch[1]), column: Number(frameMatch[2])};
+    }
+
+    // syntax errors stack starts with "/path/to/block.deps.js:2", source line and caret line
+    const [header, , caretLine] = stack.split('\n');
+    const headerPrefix = `${filePath}:`;
+
+    if (header.startsWith(headerPrefix) && caretLine !== undefined && caretLine.includes('^')) {
+        return {line: Number(header.slice(headerPrefix.length)), column: caretLine.indexOf('^') + 1};
+    }
+
+    return null;
+}
+
+/**
+ * Evaluate deps file contents in the isolated context
+ * Deps file has no access to `require`, `process` and other globals of the build process.
+ * Result is turned into JSON inside the context within the timeout, so the host gets plain data:
+ * methods and getters of the deps file objects are never called outside of the context
+ *
+ * @param {String} contents
+ * @param {String} filePath
+ * @param {Number} timeout - evaluation timeout in milliseconds
+ * @return {Object|Array} `module.exports` if deps file has set it or value of the deps file expression
+ * @throws {PluginError} if evaluation fails or result is not JSON object or array
+ */
+export default function evaluateDeps(contents, filePath, timeout) {
+    // context is made from null-prototype object for the same reason as module objects
+    const context = vm.createContext(Object.create(null));
+    let json;
+
+    try {
+        vm.runInContext(SETUP_SOURCE, context);
+
+        const result = vm.runInContext(contents, context, {
+            filename: filePath,
+            timeout
+        });
+
+        // defining the property can't call deps file setters, it fails if deps file has defined it
+        Object.defineProperty(context, RESULT, {value: result});
+        json = vm.runInContext(`${SERIALIZE}(${RESULT})`, context, {timeout});
+    } catch (err) {
+        const position = getErrorPosition(err, filePath);
+        const location = position ? `${filePath}:${position.line}:${position.column}` : filePath;
+        const reason = (err && err.message) ? `${err.name}: ${err.message}` : String(err);
+
+        throw new PluginError(PLUGIN_NAME, `Failed to evaluate ${location}: ${reason}`, {
+            fileName: filePath,
+            lineNumber: position ? position.line : undefined
+        });
+    }
+
+    const output = (typeof json === 'string') ? JSON.parse(json) : null;
+
+    if (!output || typeof output !== 'object') {
+        throw new PluginError(PLUGIN_NAME, `Failed to evaluate ${filePath}: deps should be JSON object or array`, {fileName: filePath});
+    }
+
+    return output;
+}
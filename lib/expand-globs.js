@@ -0,0 +1,23 @@
+'use strict';
+
+import path from 'path';
+import glob from 'glob';
+
+/**
+ * Expand glob patterns into the list of unique absolute file paths keeping patterns order
+ *
+ * @param {Array<String>} patterns
+ * @param {String} [cwd] - directory which patterns are relative to
+ * @return {Array<String>}
+ */
+export default function expandGlobs(patterns, cwd = process.cwd()) {
+    const output = new Set;
+
+    for (let pattern of patterns) {
+        for (let filePath of glob.sync(pattern, {cwd, nodir: true})) {
+            output.add(path.resolve(cwd, filePath));
+        }
+    }
+
+    return [...output];
+}
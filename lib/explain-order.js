@@ -0,0 +1,142 @@
+'use strict';
+
+import PluginError from 'plugin-error';
+import {PLUGIN_NAME} from './constants';
+import formatOrigin from './format-origin';
+
+/**
+ * Helper function
+ * Finds graph nodes of the entity: node id (`button.css`) selects one technology, entity name selects all of them
+ *
+ * @param {Object} graph - graph built with buildGraph()
+ * @param {String} entity
+ * @return {Array<String>} node ids
+ * @throws {PluginError} if there's no such entity in the graph
+ */
+function findNodeIds(graph, entity) {
+    const node = graph.nodes.find(({id}) => id === entity);
+    const output = node ? [node.id] : graph.nodes.filter(item => item.entity === entity).map(({id}) => id);
+
+    if (!output.length) {
+        throw new PluginError(PLUGIN_NAME, `Entity ${entity} is not found in the dependency graph`);
+    }
+
+    return output;
+}
+
+/**
+ * Helper function
+ * Finds the shortest path along the graph edges from any of the source nodes to any of the target nodes
+ *
+ * @param {Map<String, Array<Object>>} outgoing - node id -> list of graph edges which go from it
+ * @param {Array<String>} fromIds
+ * @param {Array<String>} toIds
+ * @return {Array<Object>|null} graph edges of the path or null if there's no path
+ */
+function findShortestPath(outgoing, fromIds, toIds) {
+    const targets = new Set(toIds);
+    const previous = new Map(fromIds.map(id => [id, null]));
+    const queue = fromIds.slice();
+
+    while (queue.length) {
+        const id = queue.shift();
+
+        if (targets.has(id)) {
+            const output = [];
+
+            for (let edge = previous.get(id); edge; edge = previous.get(edge.from)) {
+                output.unshift(edge);
+            }
+
+            return output;
+        }
+
+        for (let edge of outgoing.get(id) || []) {
+            if (!previous.has(edge.to)) {
+                previous.set(edge.to, edge);
+                queue.push(edge.to);
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Helper function
+ * Describes the dependency chain in "depends on" direction like circular dependencies errors
+ *
+ * @param {Array<Object>} chain - graph edges from dependency to dependent
+ * @param {Map<String, Object>} nodes - node id -> graph node
+ * @return {String}
+ */
+function formatChain(chain, nodes) {
+    const path = [chain[chain.length - 1].to].concat(chain.slice().reverse().map(edge => edge.from));
+    const techs = new Set(path.map(id => nodes.get(id).tech));
+    const getLabel = id => (techs.size === 1) ? nodes.get(id).entity : id;
+
+    const lines = [`${getLabel(path[path.length - 1])} goes before ${getLabel(path[0])}: ${path.map(getLabel).join(' -> ')}`];
+
+    for (let edge of chain.slice().reverse()) {
+        lines.push(`    ${getLabel(edge.to)} -> ${getLabel(edge.from)}: ${edge.origins.map(formatOrigin).join('; ')}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Explain relative order of two entities using the dependency graph
+ * Finds the shortest dependency chain between them in either direction, every hop has origins:
+ * deps.js files with their entries or basic dependencies from BEM naming.
+ * Relaxed edges are skipped because they don't affect the order.
+ *
+ *     button goes before page: page -> header -> button
+ *         page -> header: mustDeps in /app/page.deps.js: {"block":"header"}
+ *         header -> button: shouldDeps in /app/header.deps.js: {"block":"button"}
+ *
+ * @param {Object} graph - graph built by resolveOrder()
+ * @param {String} first - entity name (`button`) or node id (`button.css`)
+ * @param {String} second - entity name or node id
+ * @return {Object} {related, chain, message}: chain is a list of graph edges from dependency to dependent,
+ * it's empty if entities are unrelated
+ * @throws {PluginError} if entity is not found in the graph or both entities are the same
+ */
+export default function explainOrder(graph, first, second) {
+    const firstIds = findNodeIds(graph, first);
+    const secondIds = findNodeIds(graph, second);
+
+    if (firstIds.some(id => secondIds.includes(id))) {
+        throw new PluginError(PLUGIN_NAME, `Can't explain order of ${first} and ${second}: they refer to the same graph node`);
+    }
+
+    const nodes = new Map(graph.nodes.map(node => [node.id, node]));
+    const outgoing = new Map;
+
+    for (let edge of graph.edges) {
+        if (edge.relaxed) {
+            continue;
+        }
+
+        if (!outgoing.has(edge.from)) {
+            outgoing.set(edge.from, []);
+        }
+
+        outgoing.get(edge.from).push(edge);
+    }
+
+    const chain = findShortestPath(outgoing, firstIds, secondIds) || findShortestPath(outgoing, secondIds, firstIds);
+
+    if (!chain) {
+        return {
+            related: false,
+            chain: [],
+            message: `${first} and ${second} have no dependency chain between them, their relative order is only a tie-break (see order option)`
+        };
+    }
+
+    return {
+        related: true,
+        chain,
+        message: formatChain(chain, nodes)
+    };
+}
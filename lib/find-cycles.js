@@ -0,0 +1,157 @@
+'use strict';
+
+/**
+ * Helper function
+ * Finds strongly connected components of the directed graph using Tarjan's algorithm
+ *
+ * @param {Iterable<String>} keys - node keys
+ * @param {Function} getTargets - returns target node keys of the node
+ * @return {Array<Array<String>>}
+ */
+function findStronglyConnectedComponents(keys, getTargets) {
+    const indices = new Map;
+    const lowLinks = new Map;
+    const stack = [];
+    const onStack = new Set;
+    const output = [];
+    let index = 0;
+
+    const connect = key => {
+        indices.set(key, index);
+        lowLinks.set(key, index);
+        index++;
+
+        stack.push(key);
+        onStack.add(key);
+
+        for (let targetKey of getTargets(key)) {
+            if (!indices.has(targetKey)) {
+                connect(targetKey);
+                lowLinks.set(key, Math.min(lowLinks.get(key), lowLinks.get(targetKey)));
+            } else if (onStack.has(targetKey)) {
+                lowLinks.set(key, Math.min(lowLinks.get(key), indices.get(targetKey)));
+            }
+        }
+
+        if (lowLinks.get(key) === indices.get(key)) {
+            const component = [];
+            let memberKey;
+
+            do {
+                memberKey = stack.pop();
+                onStack.delete(memberKey);
+                component.push(memberKey);
+            } while (memberKey !== key);
+
+            output.push(component);
+        }
+    };
+
+    for (let key of keys) {
+        if (!indices.has(key)) {
+            connect(key);
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Find elementary cycles of the directed graph using Johnson's algorithm
+ * Every cycle is a list of node keys in edges direction: [a, b, c] stands for a -> b -> c -> a
+ *
+ * @param {Map<String, Map<String, *>>} edges - source node key -> (target node key -> edge data)
+ * @param {Number} [limit] - stop after this number of cycles is found
+ * @return {Array<Array<String>>}
+ * @see https://www.cs.tufts.edu/comp/150GA/homeworks/hw1/Johnson%2075.PDF
+ */
+export default function findCycles(edges, limit = Infinity) {
+    const keys = new Set;
+
+    for (let [fromKey, targets] of edges) {
+        keys.add(fromKey);
+
+        for (let [toKey] of targets) {
+            keys.add(toKey);
+        }
+    }
+
+    const order = new Map([...keys].map((key, index) => [key, index]));
+    const getTargets = key => edges.has(key) ? [...edges.get(key).keys()] : [];
+    const cycles = [];
+
+    for (let component of findStronglyConnectedComponents(keys, getTargets)) {
+        const isCyclic = (component.length > 1) || getTargets(component[0]).includes(component[0]);
+        if (!isCyclic) {
+            continue;
+        }
+
+        const members = new Set(component);
+        const sortedMembers = component.slice().sort((a, b) => order.get(a) - order.get(b));
+
+        // every cycle is found once: from its member which goes first in the graph
+        for (let startKey of sortedMembers) {
+            const startOrder = order.get(startKey);
+            const isAllowed = key => members.has(key) && order.get(key) >= startOrder;
+            const blocked = new Set;
+            const blockedBy = new Map;
+            const path = [];
+
+            const unblock = key => {
+                blocked.delete(key);
+
+                const keysToUnblock = blockedBy.get(key) || [];
+                blockedBy.delete(key);
+
+                for (let keyToUnblock of keysToUnblock) {
+                    if (blocked.has(keyToUnblock)) {
+                        unblock(keyToUnblock);
+                    }
+                }
+            };
+
+            const circuit = key => {
+                let found = false;
+
+                path.push(key);
+                blocked.add(key);
+
+                for (let targetKey of getTargets(key).filter(isAllowed)) {
+                    if (cycles.length >= limit) {
+                        break;
+                    }
+
+                    if (targetKey === startKey) {
+                        cycles.push(path.slice());
+                        found = true;
+                    } else if (!blocked.has(targetKey) && circuit(targetKey)) {
+                        found = true;
+                    }
+                }
+
+                if (found) {
+                    unblock(key);
+                } else {
+                    for (let targetKey of getTargets(key).filter(isAllowed)) {
+                        if (!blockedBy.has(targetKey)) {
+                            blockedBy.set(targetKey, new Set);
+                        }
+
+                        blockedBy.get(targetKey).add(key);
+                    }
+                }
+
+                path.pop();
+                return found;
+            };
+
+            circuit(startKey);
+
+            if (cycles.length >= limit) {
+                return cycles;
+            }
+        }
+    }
+
+    return cycles;
+}
@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * Find nodes which are required by the root nodes: roots themselves and all of their transitive dependencies
+ *
+ * @param {Map<String, Map<String, *>>} edges - source node key -> (target node key -> edge data), from dependency to dependent
+ * @param {Iterable<String>} rootKeys
+ * @return {Set<String>}
+ */
+export default function findRequired(edges, rootKeys) {
+    const dependencies = new Map;
+
+    for (let [fromKey, targets] of edges) {
+        for (let [toKey] of targets) {
+            if (!dependencies.has(toKey)) {
+                dependencies.set(toKey, []);
+            }
+
+            dependencies.get(toKey).push(fromKey);
+        }
+    }
+
+    const output = new Set(rootKeys);
+    const queue = [...output];
+
+    while (queue.length) {
+        const key = queue.shift();
+
+        for (let dependencyKey of dependencies.get(key) || []) {
+            if (!output.has(dependencyKey)) {
+                output.add(dependencyKey);
+                queue.push(dependencyKey);
+            }
+        }
+    }
+
+    return output;
+}
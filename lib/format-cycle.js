@@ -0,0 +1,37 @@
+'use strict';
+
+import formatOrigin from './format-origin';
+
+/**
+ * Format dependency cycle for the error message
+ * Cycle is printed in "depends on" direction with every dependency annotated by its origins:
+ *
+ *     circular dependency in css files: admin-post -> mixins -> admin-post
+ *         admin-post -> mixins: mustDeps in /app/admin-post.deps.js: {"block":"mixins"}
+ *         mixins -> admin-post: mustDeps in /app/mixins.deps.js: {"block":"admin-post"}
+ *
+ * @param {Array<String>} cycle - node keys in edges direction, see findCycles()
+ * @param {Map<String, Object>} nodes - node key -> {stem, tech}
+ * @param {Map<String, Map<String, Object>>} edges - source node key -> (target node key -> {origins})
+ * @return {String}
+ */
+export default function formatCycle(cycle, nodes, edges) {
+    // edges go from dependency to dependent, so "depends on" path is reversed
+    const path = [cycle[0]].concat(cycle.slice(1).reverse(), cycle[0]);
+    const techs = new Set(path.map(key => nodes.get(key).tech));
+    const isSingleTech = (techs.size === 1);
+    const getLabel = key => isSingleTech ? nodes.get(key).stem : key;
+
+    const header = isSingleTech && nodes.get(path[0]).tech
+        ? `circular dependency in ${nodes.get(path[0]).tech} files`
+        : 'circular dependency';
+
+    const lines = [`${header}: ${path.map(getLabel).join(' -> ')}`];
+
+    for (let i = 0; i < path.length - 1; i++) {
+        const {origins} = edges.get(path[i + 1]).get(path[i]);
+        lines.push(`    ${getLabel(path[i])} -> ${getLabel(path[i + 1])}: ${origins.map(formatOrigin).join('; ')}`);
+    }
+
+    return lines.join('\n');
+}
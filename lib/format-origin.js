@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Describe where the dependency graph edge comes from
+ *
+ *     mustDeps in /app/page.deps.js: {"block":"header"}
+ *     basic dependency from BEM naming (parent rule)
+ *
+ * @param {Object} origin - {type: 'deps', file, strength, entry} or {type: 'basic', rule}
+ * @return {String}
+ */
+export default function formatOrigin(origin) {
+    if (origin.type === 'basic') {
+        return origin.rule
+            ? `basic dependency from BEM naming (${origin.rule} rule)`
+            : 'basic dependency from BEM naming';
+    }
+
+    return origin.entry
+        ? `${origin.strength}Deps in ${origin.file}: ${JSON.stringify(origin.entry)}`
+        : `${origin.strength}Deps in ${origin.file}`;
+}
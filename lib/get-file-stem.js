@@ -4,6 +4,8 @@ import path from 'path';
 
 /**
  * Get filename without description
+ * If extension is not set, everything after the first dot is stripped
+ * so that multi-part technologies like `button.post.css` are supported
  *
  * @param {String} filePath
  * @param {String} [ext]
@@ -11,7 +13,13 @@ import path from 'path';
  */
 export default function getFileStem(filePath, ext) {
     filePath = path.resolve(filePath);
-    ext = ext || path.extname(filePath);
 
-    return path.basename(filePath, ext);
+    if (ext) {
+        return path.basename(filePath, ext);
+    }
+
+    const basename = path.basename(filePath);
+    const dotIndex = basename.indexOf('.');
+
+    return (dotIndex === -1) ? basename : basename.slice(0, dotIndex);
 }
@@ -0,0 +1,17 @@
+'use strict';
+
+import path from 'path';
+
+/**
+ * Get file technology: everything after the first dot of the file name
+ * Technologies can have multiple parts: `button.post.css` has `post.css` technology
+ *
+ * @param {String} filePath
+ * @return {String}
+ */
+export default function getFileTech(filePath) {
+    const basename = path.basename(filePath);
+    const dotIndex = basename.indexOf('.');
+
+    return (dotIndex === -1) ? '' : basename.slice(dotIndex + 1);
+}
@@ -0,0 +1,93 @@
+'use strict';
+
+import path from 'path';
+import PluginError from 'plugin-error';
+import bemNamingToClassname from './bem-naming-to-classname';
+import {PLUGIN_NAME} from './constants';
+import getLevelIndex from './get-level-index';
+import parseBemNaming from './parse-bem-naming';
+
+const INDEX_STEM = 'index';
+
+/**
+ * Helper function
+ * Parses nested layout directories: `block/__elem/_mod`, element and modifier directories are optional
+ *
+ * @param {Array<String>} dirs - directories from the level root to the file
+ * @param {Object} naming - naming delimiters: {elem, mod, modVal}
+ * @return {Object|null} {block, elem, mod} or null if directories don't contain block
+ */
+function parseNestedDirs(dirs, naming) {
+    // longer delimiter goes first so that `__elem` is not taken for `_mod` with origin naming
+    const prefixes = [['elem', naming.elem], ['mod', naming.mod]].sort((a, b) => b[1].length - a[1].length);
+    const getKind = dir => {
+        const prefix = prefixes.find(([, delimiter]) => dir.startsWith(delimiter));
+        return prefix ? {kind: prefix[0], name: dir.slice(prefix[1].length)} : {kind: 'block', name: dir};
+    };
+
+    const output = {};
+    let index = dirs.length - 1;
+
+    if (index >= 0 && getKind(dirs[index]).kind === 'mod') {
+        output.mod = getKind(dirs[index]).name;
+        index--;
+    }
+
+    if (index >= 0 && getKind(dirs[index]).kind === 'elem') {
+        output.elem = getKind(dirs[index]).name;
+        index--;
+    }
+
+    if (index < 0 || getKind(dirs[index]).kind !== 'block' || !dirs[index]) {
+        return null;
+    }
+
+    output.block = dirs[index];
+    return output;
+}
+
+/**
+ * Get entity stem of the file according to the file system layout
+ * Flat layout uses file name as is. Nested layout (`block/__elem/_mod/block__elem_mod_val.css`) takes entity
+ * from directories relative to the redefinition level: `index` file names get it from directories,
+ * other file names should agree with them
+ *
+ * @param {String} filePath
+ * @param {String} fileStem - stem of the file name
+ * @param {Object} options - normalized plugin options: {layout, naming, levels}
+ * @return {String}
+ * @throws {PluginError} if file path and name disagree
+ */
+export default function getLayoutStem(filePath, fileStem, {layout, naming, levels}) {
+    if (layout !== 'nested') {
+        return fileStem;
+    }
+
+    const levelIndex = getLevelIndex(filePath, levels);
+    const dirPath = path.dirname(path.resolve(filePath));
+    const relativeDirPath = (levelIndex < levels.length) ? path.relative(path.resolve(levels[levelIndex]), dirPath) : dirPath;
+    const entity = parseNestedDirs(relativeDirPath.split(path.sep).filter(Boolean), naming);
+
+    if (!entity) {
+        throw new PluginError(PLUGIN_NAME, `File path doesn't match nested layout: ${filePath}`);
+    }
+
+    const {block, elem, mod} = entity;
+    const impliedNaming = elem ? {block, elem, elemMod: mod} : {block, mod};
+    const impliedStem = bemNamingToClassname(impliedNaming, naming);
+
+    if (fileStem === INDEX_STEM) {
+        return impliedStem;
+    }
+
+    const bemNaming = parseBemNaming(fileStem, naming);
+    const isMatching = bemNaming.block === block
+        && bemNaming.elem === elem
+        && (elem ? bemNaming.elemMod : bemNaming.mod) === mod;
+
+    if (!isMatching) {
+        throw new PluginError(PLUGIN_NAME, `File name doesn't match its nested layout path: ${filePath} should belong to ${impliedStem}`);
+    }
+
+    return fileStem;
+}
@@ -0,0 +1,22 @@
+'use strict';
+
+import path from 'path';
+
+/**
+ * Get index of redefinition level which contains file
+ * Files which don't belong to any of the levels are considered to be on the last level
+ *
+ * @param {String} filePath
+ * @param {Array<String>} levels - directories list
+ * @return {Number}
+ */
+export default function getLevelIndex(filePath, levels) {
+    filePath = path.resolve(filePath);
+
+    const index = levels.findIndex(level => {
+        const levelPath = path.resolve(level);
+        return filePath === levelPath || filePath.startsWith(levelPath + path.sep);
+    });
+
+    return (index === -1) ? levels.length : index;
+}
@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Helper function
+ * Quotes Graphviz ID
+ *
+ * @param {String} id
+ * @return {String}
+ */
+function quote(id) {
+    return `"${String(id).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Helper function
+ * Stringifies Graphviz attributes list
+ *
+ * @param {Object} attrs
+ * @return {String}
+ */
+function stringifyAttrs(attrs) {
+    const list = Object.keys(attrs).map(key => `${key}=${quote(attrs[key])}`);
+    return list.length ? ` [${list.join(', ')}]` : '';
+}
+
+/**
+ * Convert dependency graph into Graphviz DOT format
+ * Virtual nodes are dashed, basic dependencies edges are gray,
+ * shouldDeps edges are dashed and relaxed shouldDeps edges are red
+ *
+ * @param {Object} graph - graph built with buildGraph()
+ * @return {String}
+ */
+export default function graphToDot(graph) {
+    const lines = ['digraph "gulp-order-bemdeps" {', '    node [shape="box"];'];
+
+    for (let node of graph.nodes) {
+        const attrs = node.virtual ? {style: 'dashed', fontcolor: 'gray'} : {};
+        lines.push(`    ${quote(node.id)}${stringifyAttrs(attrs)};`);
+    }
+
+    for (let edge of graph.edges) {
+        const attrs = {};
+        const isBasic = edge.origins.every(origin => origin.type === 'basic');
+
+        if (isBasic) {
+            attrs.color = 'gray';
+        }
+
+        if (edge.strength === 'should') {
+            attrs.style = 'dashed';
+        }
+
+        if (edge.relaxed) {
+            attrs.color = 'red';
+        }
+
+        lines.push(`    ${quote(edge.from)} -> ${quote(edge.to)}${stringifyAttrs(attrs)};`);
+    }
+
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,37 @@
+'use strict';
+
+/**
+ * Helper function
+ * Checks whether there's a path between two nodes of the directed graph
+ *
+ * @param {Map<String, Map<String, *>>} edges - source node key -> (target node key -> edge data)
+ * @param {String} fromKey
+ * @param {String} toKey
+ * @return {Boolean}
+ */
+export default function hasPath(edges, fromKey, toKey) {
+    const visited = new Set([fromKey]);
+    const queue = [fromKey];
+
+    while (queue.length) {
+        const key = queue.shift();
+
+        if (key === toKey) {
+            return true;
+        }
+
+        const targets = edges.get(key);
+        if (!targets) {
+            continue;
+        }
+
+        for (let [targetKey] of targets) {
+            if (!visited.has(targetKey)) {
+                visited.add(targetKey);
+                queue.push(targetKey);
+            }
+        }
+    }
+
+    return false;
+}
@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Helper function
+ * Makes path relative to the current directory explicitly so that it's not resolved as a package name
+ *
+ * @param {String} filePath
+ * @return {String}
+ */
+function toModulePath(filePath) {
+    return filePath.startsWith('.') ? filePath : `./${filePath}`;
+}
+
+/**
+ * Index file templates: file path relative to the index file base -> index file line
+ */
+export default {
+    scss: filePath => `@import ${JSON.stringify(filePath)};`,
+    less: filePath => `@import ${JSON.stringify(filePath)};`,
+    css: filePath => `@import url(${JSON.stringify(filePath)});`,
+    esm: filePath => `import ${JSON.stringify(toModulePath(filePath))};`,
+    commonjs: filePath => `require(${JSON.stringify(toModulePath(filePath))});`
+};
@@ -0,0 +1,70 @@
+'use strict';
+
+import fs from 'fs';
+import PluginError from 'plugin-error';
+import {PLUGIN_NAME} from './constants';
+import loadDeps from './load-deps';
+
+/**
+ * Helper function
+ * Converts bemdecl.js `blocks` list into deps.js entries
+ * `{name: 'b', mods: [{name: 'm', vals: ['v']}], elems: [{name: 'e'}]}`
+ *
+ * @param {Array<Object>} blocks
+ * @return {Array<Object>}
+ */
+function convertBlocks(blocks) {
+    const getName = item => (typeof item === 'object') ? item.name : item;
+    const convertMods = (entity, mods) => (mods || []).map(mod => Object.assign({}, entity, {
+        mod: getName(mod),
+        val: mod.vals ? mod.vals.map(getName) : undefined
+    }));
+
+    return blocks.reduce((output, block) => {
+        const blockEntity = {block: getName(block)};
+        output = output.concat(blockEntity, convertMods(blockEntity, block.mods));
+
+        for (let elem of block.elems || []) {
+            const elemEntity = {block: blockEntity.block, elem: getName(elem)};
+            output = output.concat(elemEntity, convertMods(elemEntity, elem.mods));
+        }
+
+        return output;
+    }, []);
+}
+
+/**
+ * Load declaration file: bemdecl.js or JSON file, it's parsed in the same way as deps files
+ * Declaration can be an array of deps.js entries, an object with `deps` list of deps.js entries
+ * or an object with `blocks` list
+ *
+ * @param {String} filePath
+ * @param {Number} timeout - evaluation timeout in milliseconds
+ * @return {Array<Object>} list of deps.js entries
+ * @throws {PluginError} if declaration file can't be loaded
+ */
+export default function loadDeclaration(filePath, timeout) {
+    let contents;
+
+    try {
+        contents = fs.readFileSync(filePath, 'utf8');
+    } catch (err) {
+        throw new PluginError(PLUGIN_NAME, `Failed to read declaration file ${filePath}: ${err.message}`);
+    }
+
+    const declaration = loadDeps(contents, filePath, timeout);
+
+    if (Array.isArray(declaration)) {
+        return declaration;
+    }
+
+    if (declaration && Array.isArray(declaration.deps)) {
+        return declaration.deps;
+    }
+
+    if (declaration && Array.isArray(declaration.blocks)) {
+        return convertBlocks(declaration.blocks);
+    }
+
+    throw new PluginError(PLUGIN_NAME, `Declaration file ${filePath} should export an array, deps or blocks list`, {fileName: filePath});
+}
@@ -0,0 +1,82 @@
+'use strict';
+
+import path from 'path';
+import vm from 'vm';
+import PluginError from 'plugin-error';
+import {PLUGIN_NAME} from './constants';
+import evaluateDeps from './evaluate-deps';
+
+const ESM_DEFAULT_EXPORT = /^(\s*)export\s+default\s+/m;
+
+/**
+ * Helper function
+ * Checks whether contents can be compiled as a script, nothing is evaluated
+ *
+ * @param {String} contents
+ * @return {Boolean}
+ */
+function isScript(contents) {
+    try {
+        new vm.Script(contents);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Deps files loaders: (contents, file path, evaluation timeout) -> deps declaration
+ */
+const LOADERS = {
+    json(contents, filePath) {
+        try {
+            return JSON.parse(contents);
+        } catch (err) {
+            throw new PluginError(PLUGIN_NAME, `Failed to parse ${filePath}: ${err.message}`, {fileName: filePath});
+        }
+    },
+
+    // default export is turned into CommonJS one on the same line so that error positions are kept
+    esm(contents, filePath, timeout) {
+        return evaluateDeps(contents.replace(ESM_DEFAULT_EXPORT, '$1module.exports = '), filePath, timeout);
+    },
+
+    // CommonJS modules and plain expressions are told apart by `module.exports` after evaluation
+    js(contents, filePath, timeout) {
+        return evaluateDeps(contents, filePath, timeout);
+    }
+};
+
+/**
+ * Detect format of the deps file
+ * JSON files are detected by extension. JS files with default export can't be compiled as scripts,
+ * so they are ES modules, all the other JS files are CommonJS modules or plain expressions (classic deps.js files)
+ *
+ * @param {String} contents
+ * @param {String} filePath
+ * @return {String} json, esm or js
+ */
+export function getDepsFormat(contents, filePath) {
+    if (path.extname(filePath) === '.json') {
+        return 'json';
+    }
+
+    if (ESM_DEFAULT_EXPORT.test(contents) && !isScript(contents)) {
+        return 'esm';
+    }
+
+    return 'js';
+}
+
+/**
+ * Load deps declaration from the deps file contents using the loader of its format
+ *
+ * @param {String} contents
+ * @param {String} filePath
+ * @param {Number} timeout - evaluation timeout in milliseconds
+ * @return {*}
+ * @throws {PluginError} if deps file can't be parsed or evaluated
+ */
+export default function loadDeps(contents, filePath, timeout) {
+    return LOADERS[getDepsFormat(contents, filePath)](contents, filePath, timeout);
+}
@@ -0,0 +1,17 @@
+'use strict';
+
+/**
+ * BEM naming conventions delimiters
+ *
+ * @see https://en.bem.info/methodology/naming-convention/
+ */
+export default {
+    // block_mod_val__elem_mod_val
+    origin: {elem: '__', mod: '_', modVal: '_'},
+
+    // block--mod_val__elem--mod_val
+    'two-dashes': {elem: '__', mod: '--', modVal: '_'},
+
+    // Block_mod_val-Elem_mod_val
+    react: {elem: '-', mod: '_', modVal: '_'}
+};
@@ -0,0 +1,256 @@
+'use strict';
+
+import path from 'path';
+import PluginError from 'plugin-error';
+import basicDepsPresets, {BASIC_DEPS_RULES} from './basic-deps-presets';
+import {PLUGIN_NAME} from './constants';
+import indexTemplates from './index-templates';
+import namingPresets from './naming-presets';
+import {REPORT_CATEGORIES_NAMES, REPORT_SEVERITIES} from './report-entities';
+
+const isString = value => typeof value === 'string';
+const isNonEmptyString = value => isString(value) && value.length > 0;
+const isPlainObject = value => Object.prototype.toString.call(value) === '[object Object]';
+const isRoots = value => isNonEmptyString(value)
+    || (Array.isArray(value) && value.every(item => isNonEmptyString(item) || isPlainObject(item)));
+const NAMING_DELIMITERS = ['elem', 'mod', 'modVal'];
+const GRAPH_OPTIONS = {
+    json: isNonEmptyString,
+    dot: isNonEmptyString,
+    callback: value => typeof value === 'function'
+};
+const BASIC_DEPS_OPTIONS = {
+    rules: value => Array.isArray(value)
+        && value.every(rule => (isString(rule) && BASIC_DEPS_RULES.hasOwnProperty(rule)) || typeof rule === 'function'),
+    booleanMods: value => typeof value === 'boolean'
+};
+const INDEX_OPTIONS = {
+    path: isNonEmptyString,
+    template: value => (isString(value) && indexTemplates.hasOwnProperty(value)) || typeof value === 'function',
+    base: isNonEmptyString
+};
+const INDEX_TEMPLATES_BY_EXTENSION = {
+    '.scss': 'scss',
+    '.less': 'less',
+    '.css': 'css',
+    '.js': 'esm',
+    '.mjs': 'esm',
+    '.cjs': 'commonjs'
+};
+const silentLogger = {
+    warn() {},
+    error() {}
+};
+
+/**
+ * Options schema
+ * Every option has a default value factory, a validator and a description of its expected value
+ */
+const OPTIONS_SCHEMA = {
+    levels: {
+        default: () => [],
+        validate: value => Array.isArray(value) && value.every(isString),
+        expected: 'array of directories'
+    },
+
+    naming: {
+        default: () => namingPresets.origin,
+        validate: value => (isString(value) && namingPresets.hasOwnProperty(value)) || (isPlainObject(value)
+            && Object.keys(value).every(key => NAMING_DELIMITERS.includes(key) && isNonEmptyString(value[key]))),
+        expected: `one of ${Object.keys(namingPresets).join(', ')} or object with elem, mod and modVal delimiters`
+    },
+
+    basicDeps: {
+        default: () => 'default',
+        validate: value => (isString(value) && basicDepsPresets.hasOwnProperty(value)) || (isPlainObject(value)
+            && Object.keys(value).every(key => BASIC_DEPS_OPTIONS.hasOwnProperty(key) && BASIC_DEPS_OPTIONS[key](value[key]))),
+        expected: `one of ${Object.keys(basicDepsPresets).join(', ')} or object with rules `
+            + `(${Object.keys(BASIC_DEPS_RULES).join(', ')} or functions) and booleanMods fields`
+    },
+
+    layout: {
+        default: () => 'flat',
+        validate: value => ['flat', 'nested'].includes(value),
+        expected: 'flat or nested'
+    },
+
+    techs: {
+        default: () => [],
+        validate: value => Array.isArray(value) && value.every(isNonEmptyString),
+        expected: 'array of technologies'
+    },
+
+    roots: {
+        default: () => null,
+        validate: isRoots,
+        expected: 'array of root entities or declaration file path'
+    },
+
+    chunks: {
+        default: () => null,
+        validate: value => isPlainObject(value)
+            && Object.keys(value).every(key => ['roots', 'common'].includes(key))
+            && isPlainObject(value.roots) && Object.keys(value.roots).length > 0
+            && Object.keys(value.roots).every(name => isRoots(value.roots[name]))
+            && (value.common === undefined || isNonEmptyString(value.common))
+            && !value.roots.hasOwnProperty(value.common || 'common'),
+        expected: 'object with roots of every chunk ({name: roots}) and common chunk name which differs from them'
+    },
+
+    reportPruned: {
+        default: () => false,
+        validate: value => typeof value === 'boolean',
+        expected: 'boolean'
+    },
+
+    depsSuffix: {
+        default: () => ['.deps.js', '.deps.json'],
+        validate: value => isNonEmptyString(value) || (Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString)),
+        expected: 'non-empty string or list of strings'
+    },
+
+    depsTimeout: {
+        default: () => 1000,
+        validate: value => Number.isInteger(value) && value > 0,
+        expected: 'positive number of milliseconds'
+    },
+
+    graph: {
+        default: () => ({}),
+        validate: value => isPlainObject(value)
+            && Object.keys(value).every(key => GRAPH_OPTIONS.hasOwnProperty(key) && GRAPH_OPTIONS[key](value[key])),
+        expected: 'object with json and dot file names and callback function'
+    },
+
+    index: {
+        default: () => null,
+        validate: value => isPlainObject(value)
+            && Object.keys(value).every(key => INDEX_OPTIONS.hasOwnProperty(key) && INDEX_OPTIONS[key](value[key]))
+            && isNonEmptyString(value.path)
+            && (value.template !== undefined || INDEX_TEMPLATES_BY_EXTENSION.hasOwnProperty(path.extname(value.path))),
+        expected: `object with path, base and template (one of ${Object.keys(indexTemplates).join(', ')} or function) fields`
+    },
+
+    cycles: {
+        default: () => 'first',
+        validate: value => ['first', 'all'].includes(value),
+        expected: 'first or all'
+    },
+
+    order: {
+        default: () => 'input',
+        validate: value => ['input', 'alphabetical'].includes(value),
+        expected: 'input or alphabetical'
+    },
+
+    report: {
+        default: () => ({}),
+        validate: value => isPlainObject(value)
+            && Object.keys(value).every(key => REPORT_CATEGORIES_NAMES.includes(key) && REPORT_SEVERITIES.includes(value[key])),
+        expected: `object with ${REPORT_CATEGORIES_NAMES.join(', ')} keys and ${REPORT_SEVERITIES.join(', ')} values`
+    },
+
+    explain: {
+        default: () => [],
+        validate: value => Array.isArray(value)
+            && value.every(pair => Array.isArray(pair) && pair.length === 2 && pair.every(isNonEmptyString)),
+        expected: 'list of [entity, entity] pairs'
+    },
+
+    bestEffort: {
+        default: () => false,
+        validate: value => typeof value === 'boolean',
+        expected: 'boolean'
+    },
+
+    logger: {
+        /* eslint-disable no-console */
+        default: () => console,
+        /* eslint-enable no-console */
+        validate: value => value === false || (Boolean(value) && typeof value.warn === 'function' && typeof value.error === 'function'),
+        expected: 'object with warn() and error() methods or false'
+    }
+};
+
+/**
+ * Validate plugin options and fill them with default values
+ *
+ * @param {Object} [options]
+ * @return {Object}
+ * @throws {PluginError} if options are invalid
+ */
+export default function normalizeOptions(options = {}) {
+    if (!isPlainObject(options)) {
+        throw new PluginError(PLUGIN_NAME, 'Options should be an object');
+    }
+
+    for (let key of Object.keys(options)) {
+        if (!OPTIONS_SCHEMA.hasOwnProperty(key)) {
+            throw new PluginError(PLUGIN_NAME, `Unknown option: ${key}`);
+        }
+    }
+
+    const output = {};
+
+    for (let key of Object.keys(OPTIONS_SCHEMA)) {
+        const schema = OPTIONS_SCHEMA[key];
+
+        if (options[key] === undefined) {
+            output[key] = schema.default();
+            continue;
+        }
+
+        if (!schema.validate(options[key])) {
+            throw new PluginError(PLUGIN_NAME, `Invalid option ${key}: expected ${schema.expected}`);
+        }
+
+        output[key] = options[key];
+    }
+
+    // custom naming delimiters fall back to origin ones
+    output.naming = isString(output.naming)
+        ? namingPresets[output.naming]
+        : Object.assign({}, namingPresets.origin, output.naming);
+
+    // basic dependencies rules fall back to default preset, rules names are resolved into functions
+    const basicDeps = isString(output.basicDeps)
+        ? basicDepsPresets[output.basicDeps]
+        : Object.assign({}, basicDepsPresets.default, output.basicDeps);
+
+    output.basicDeps = {
+        rules: basicDeps.rules.map(rule => isString(rule) ? BASIC_DEPS_RULES[rule] : rule),
+        booleanMods: basicDeps.booleanMods
+    };
+
+    if (output.chunks) {
+        if (output.roots || output.index) {
+            throw new PluginError(PLUGIN_NAME, 'Option chunks can\'t be used together with roots and index options');
+        }
+
+        output.chunks = {
+            roots: output.chunks.roots,
+            common: output.chunks.common || 'common'
+        };
+    }
+
+    if (isString(output.depsSuffix)) {
+        output.depsSuffix = [output.depsSuffix];
+    }
+
+    // index file template can be omitted if it's clear from the file extension, base is index file directory by default
+    if (output.index) {
+        const {path: indexPath, template = INDEX_TEMPLATES_BY_EXTENSION[path.extname(indexPath)], base} = output.index;
+
+        output.index = {
+            path: path.resolve(indexPath),
+            template: isString(template) ? indexTemplates[template] : template,
+            base: path.resolve(base || path.dirname(indexPath))
+        };
+    }
+
+    if (output.logger === false) {
+        output.logger = silentLogger;
+    }
+
+    return output;
+}
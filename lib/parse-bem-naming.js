@@ -0,0 +1,70 @@
+'use strict';
+
+import namingPresets from './naming-presets';
+
+/**
+ * Helper function
+ * Parses block or element part of the stem
+ *
+ * @param {String} part
+ * @param {Object} naming
+ * @return {Object} {name, mod, modVal}
+ */
+function parseEntityPart(part, naming) {
+    const modIndex = part.indexOf(naming.mod);
+    if (modIndex === -1) {
+        return {name: part};
+    }
+
+    const name = part.slice(0, modIndex);
+    const modPart = part.slice(modIndex + naming.mod.length);
+    const modValIndex = modPart.indexOf(naming.modVal);
+
+    if (modValIndex === -1) {
+        return {name, mod: modPart};
+    }
+
+    return {
+        name,
+        mod: modPart.slice(0, modValIndex),
+        modVal: modPart.slice(modValIndex + naming.modVal.length)
+    };
+}
+
+/**
+ * Parse file stem into BEM naming object
+ * Output has the same format as `parse-bem-identifier` output: {block, mod, modVal, elem, elemMod, elemModVal}
+ * Malformed parts are returned as empty strings so that they can be validated
+ *
+ * @param {String} stem
+ * @param {Object} [naming] - naming delimiters: {elem, mod, modVal}
+ * @return {Object}
+ */
+export default function parseBemNaming(stem, naming = namingPresets.origin) {
+    const [blockPart, elemPart, ...restParts] = stem.split(naming.elem);
+    const block = parseEntityPart(blockPart, naming);
+    const output = {block: block.name};
+
+    if (block.mod !== undefined) {
+        output.mod = block.mod;
+    }
+
+    if (block.modVal !== undefined) {
+        output.modVal = block.modVal;
+    }
+
+    if (elemPart !== undefined) {
+        const elem = parseEntityPart(restParts.length ? '' : elemPart, naming);
+        output.elem = elem.name;
+
+        if (elem.mod !== undefined) {
+            output.elemMod = elem.mod;
+        }
+
+        if (elem.modVal !== undefined) {
+            output.elemModVal = elem.modVal;
+        }
+    }
+
+    return output;
+}
@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Helper function
+ * Returns edge of the deps.js files graph creating it if it doesn't exist
+ *
+ * @param {Map<String, Map<String, Object>>} edges - source node key -> (target node key -> edge)
+ * @param {String} fromKey
+ * @param {String} toKey
+ * @return {Object} {contributions, cancels, survivors}
+ */
+function getEdge(edges, fromKey, toKey) {
+    if (!edges.has(fromKey)) {
+        edges.set(fromKey, new Map);
+    }
+
+    const targets = edges.get(fromKey);
+    if (!targets.has(toKey)) {
+        targets.set(toKey, {contributions: new Map, cancels: new Map, survivors: []});
+    }
+
+    return targets.get(toKey);
+}
+
+/**
+ * Helper function
+ * Updates deps.js files which edge survives noDeps of: noDeps cancel edges from deps.js files of the same
+ * and earlier levels. Edges which are neither declared nor cancelled by any file are dropped
+ *
+ * @param {Object} graph - deps.js files graph
+ * @param {String} fromKey
+ * @param {String} toKey
+ */
+function updateEdge(graph, fromKey, toKey) {
+    const targets = graph.edges.get(fromKey);
+    const edge = targets.get(toKey);
+
+    if (!edge.contributions.size && !edge.cancels.size) {
+        targets.delete(toKey);
+
+        if (!targets.size) {
+            graph.edges.delete(fromKey);
+        }
+
+        return;
+    }
+
+    const cancelLevel = Math.max(-1, ...edge.cancels.values());
+    edge.survivors = [...edge.contributions.keys()].filter(filePath => graph.files.get(filePath).level > cancelLevel);
+}
+
+/**
+ * Patch graph of deps.js files: contribution of the file replaces its previous contribution
+ * Graph keeps contribution of every file to every node and edge, so only edges of the changed file are updated
+ *
+ * @param {Object} graph - {files, nodes, edges} from createDepsCache()
+ * @param {String} filePath - deps.js file path
+ * @param {Object|null} contribution - {level, nodes, edges, noDeps} or null if the file is removed:
+ * nodes are {key, stem, tech} objects, edges are {fromKey, toKey, strength, origin} objects, noDeps are [fromKey, toKey] pairs
+ */
+export default function patchDepsGraph(graph, filePath, contribution) {
+    const touchedEdges = [];
+    const previous = graph.files.get(filePath);
+
+    if (previous) {
+        for (let {key} of previous.nodes) {
+            const node = graph.nodes.get(key);
+            node.files.delete(filePath);
+
+            if (!node.files.size) {
+                graph.nodes.delete(key);
+            }
+        }
+
+        for (let {fromKey, toKey} of previous.edges) {
+            graph.edges.get(fromKey).get(toKey).contributions.delete(filePath);
+            touchedEdges.push([fromKey, toKey]);
+        }
+
+        for (let [fromKey, toKey] of previous.noDeps) {
+            graph.edges.get(fromKey).get(toKey).cancels.delete(filePath);
+            touchedEdges.push([fromKey, toKey]);
+        }
+
+        graph.files.delete(filePath);
+    }
+
+    if (contribution) {
+        graph.files.set(filePath, contribution);
+
+        contribution.nodes.forEach(({key, stem, tech}, index) => {
+            if (!graph.nodes.has(key)) {
+                graph.nodes.set(key, {stem, tech, files: new Map});
+            }
+
+            graph.nodes.get(key).files.set(filePath, index);
+        });
+
+        contribution.edges.forEach(({fromKey, toKey, strength, origin}, index) => {
+            const {contributions} = getEdge(graph.edges, fromKey, toKey);
+
+            if (!contributions.has(filePath)) {
+                contributions.set(filePath, []);
+            }
+
+            contributions.get(filePath).push({index, strength, origin});
+            touchedEdges.push([fromKey, toKey]);
+        });
+
+        for (let [fromKey, toKey] of contribution.noDeps) {
+            getEdge(graph.edges, fromKey, toKey).cancels.set(filePath, contribution.level);
+            touchedEdges.push([fromKey, toKey]);
+        }
+    }
+
+    for (let [fromKey, toKey] of touchedEdges) {
+        if (graph.edges.has(fromKey) && graph.edges.get(fromKey).has(toKey)) {
+            updateEdge(graph, fromKey, toKey);
+        }
+    }
+}
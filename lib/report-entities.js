@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * Report categories: title and a function which finds problems in the collected entities
+ */
+const REPORT_CATEGORIES = {
+    missing: {
+        title: 'Dependencies without input files',
+        find: ({references, fileStems}) => [...references]
+            .filter(([stem]) => !fileStems.has(stem))
+            .map(([stem, depsFilePaths]) => `${stem} (${[...depsFilePaths].join(', ')})`)
+    },
+
+    unused: {
+        title: 'Input files which are not referenced by deps.js files',
+        find: ({references, impliedReferences, fileStems}) => [...fileStems]
+            .filter(([stem]) => !references.has(stem) && !impliedReferences.has(stem))
+            .reduce((output, [, filePaths]) => output.concat(filePaths), [])
+    },
+
+    orphanDeps: {
+        title: 'Deps.js files of entities without input files',
+        find: ({depsFileStems, fileStems}) => [...depsFileStems]
+            .filter(([stem]) => !fileStems.has(stem))
+            .reduce((output, [, filePaths]) => output.concat(filePaths), [])
+    }
+};
+
+export const REPORT_CATEGORIES_NAMES = Object.keys(REPORT_CATEGORIES);
+export const REPORT_SEVERITIES = ['ignore', 'warn', 'error'];
+
+/**
+ * Report missing and unused entities
+ * Problems of the categories with `warn` severity are passed to the warnings handler, problems with `error` severity are returned
+ *
+ * @param {Object} severities - category name -> severity
+ * @param {Object} entities
+ * @param {Map<String, Set<String>>} entities.references - stems named by deps.js files entries -> deps.js files paths
+ * @param {Set<String>} entities.impliedReferences - stems which deps.js files entries refer to without naming them,
+ * e.g. boolean modifiers of the modifiers with values
+ * @param {Map<String, Array<String>>} entities.fileStems - input files stems -> input files paths
+ * @param {Map<String, Array<String>>} entities.depsFileStems - deps.js files stems -> deps.js files paths
+ * @param {Function} warn - warnings handler
+ * @return {Array<String>} error messages
+ */
+export default function reportEntities(severities, entities, warn) {
+    const errors = [];
+
+    for (let categoryName of REPORT_CATEGORIES_NAMES) {
+        const severity = severities[categoryName] || 'ignore';
+        if (severity === 'ignore') {
+            continue;
+        }
+
+        const {title, find} = REPORT_CATEGORIES[categoryName];
+        const problems = find(entities);
+
+        if (!problems.length) {
+            continue;
+        }
+
+        const message = `${title}:\n${problems.map(problem => `    ${problem}`).join('\n')}`;
+
+        if (severity === 'error') {
+            errors.push(message);
+        } else {
+            warn(message);
+        }
+    }
+
+    return errors;
+}
@@ -0,0 +1,1098 @@
+'use strict';
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import colors from 'ansi-colors';
+import PluginError from 'plugin-error';
+import bemNamingToClassname from './bem-naming-to-classname';
+import buildGraph from './build-graph';
+import createDepsCache from './create-deps-cache';
+import explainOrder from './explain-order';
+import findCycles from './find-cycles';
+import findRequired from './find-required';
+import formatCycle from './format-cycle';
+import getFileStem from './get-file-stem';
+import getFileTech from './get-file-tech';
+import getLayoutStem from './get-layout-stem';
+import getLevelIndex from './get-level-index';
+import hasPath from './has-path';
+import loadDeclaration from './load-declaration';
+import loadDeps from './load-deps';
+import normalizeOptions from './options';
+import parseBemNaming from './parse-bem-naming';
+import patchDepsGraph from './patch-deps-graph';
+import reportEntities from './report-entities';
+import sortNodes from './sort-nodes';
+import {PLUGIN_NAME} from './constants';
+
+const BEM_NAMING_PARSED_KEYS = ['block', 'mod', 'modVal', 'elem', 'elemMod', 'elemModVal'];
+const EDGE_MUST = 'must';
+const EDGE_SHOULD = 'should';
+const EDGE_NONE = 'none';
+const MAX_REPORTED_CYCLES = 100;
+const ORIGIN_DEPS = 'deps';
+const ORIGIN_BASIC = 'basic';
+const DEPS_KEYS_STRENGTH = {
+    mustDeps: EDGE_MUST,
+    shouldDeps: EDGE_SHOULD,
+    noDeps: EDGE_NONE
+};
+
+/**
+ * Helper function
+ * Adds edge to the edges map. If edge already exists, mustDeps edge wins over shouldDeps one
+ * and the origin is added to the list of edge origins
+ *
+ * @param {Map<String, Map<String, Object>>} edges - source node key -> (target node key -> {strength, origins})
+ * @param {String} fromKey - dependency node key
+ * @param {String} toKey - dependent node key
+ * @param {String} strength - EDGE_MUST or EDGE_SHOULD
+ * @param {Object} [origin] - where edge comes from: {type: 'deps', file, strength} or {type: 'basic'}
+ */
+function addEdge(edges, fromKey, toKey, strength, origin) {
+    if (!edges.has(fromKey)) {
+        edges.set(fromKey, new Map);
+    }
+
+    const targets = edges.get(fromKey);
+    if (!targets.has(toKey)) {
+        targets.set(toKey, {strength, origins: []});
+    }
+
+    const edge = targets.get(toKey);
+    if (strength === EDGE_MUST) {
+        edge.strength = EDGE_MUST;
+    }
+
+    if (origin) {
+        edge.origins.push(origin);
+    }
+}
+
+/**
+ * Helper function
+ * Resolves block and element of deps.js entry using owning entity as a context
+ * Entry without block refers to the context block,
+ * entry without block and element refers to the context element
+ *
+ * @param {Object} dependency - deps.js entry
+ * @param {Object} context - owning entity BEM naming
+ * @return {Object} {block, elem}
+ */
+function resolveEntityContext(dependency, context) {
+    if (dependency.block) {
+        return {
+            block: dependency.block,
+            elem: dependency.elem
+        };
+    }
+
+    const hasOwnElem = Boolean(dependency.elem || dependency.elems);
+
+    return {
+        block: context.block,
+        elem: hasOwnElem ? dependency.elem : context.elem
+    };
+}
+
+/**
+ * Helper function
+ * Builds modifier BEM naming: modifiers belong to the element if it exists, otherwise to the block
+ *
+ * @param {Object} entity - {block, elem}
+ * @param {String} mod
+ * @param {String} [modVal]
+ * @return {Object}
+ */
+function buildModBemNaming({block, elem}, mod, modVal) {
+    return elem
+        ? {block, elem, elemMod: mod, elemModVal: modVal}
+        : {block, mod, modVal};
+}
+
+/**
+ * Helper function
+ * Expands `mod` and `val` fields of deps.js entry
+ * `val` can be a string, an array of strings or `true` for boolean modifiers
+ *
+ * @param {Object} entity - {block, elem}
+ * @param {String} mod
+ * @param {String|Array<String>|Boolean} [val]
+ * @return {Array<Object>}
+ */
+function expandMod(entity, mod, val) {
+    if (Array.isArray(val)) {
+        return val.map(modVal => buildModBemNaming(entity, mod, modVal));
+    }
+
+    if (val === undefined || typeof val === 'boolean') {
+        return [buildModBemNaming(entity, mod)];
+    }
+
+    return [buildModBemNaming(entity, mod, val)];
+}
+
+/**
+ * Helper function
+ * Expands `mods` field of deps.js entry
+ * `mods` can be an array of boolean modifiers names or an object where values are
+ * strings, arrays of strings or booleans. String value also means dependency on the modifier itself
+ * if `booleanMods` is set
+ *
+ * @param {Object} entity - {block, elem}
+ * @param {Array<String>|Object} mods
+ * @param {Boolean} booleanMods
+ * @return {Array<Object>}
+ */
+function expandMods(entity, mods, booleanMods) {
+    if (Array.isArray(mods)) {
+        return mods.map(mod => buildModBemNaming(entity, mod));
+    }
+
+    let output = [];
+
+    Object.keys(mods).forEach(mod => {
+        const modVal = mods[mod];
+        output = output.concat(expandMod(entity, mod, modVal));
+
+        // boolean modifier is implied, it's not named in the entry
+        if (booleanMods && typeof modVal === 'string') {
+            output.push(Object.assign(buildModBemNaming(entity, mod), {implied: true}));
+        }
+    });
+
+    return output;
+}
+
+/**
+ * Helper function
+ * Expands block or element with modifiers listed in deps.js entry
+ * Entity itself is returned only if entry has no modifiers
+ *
+ * @param {Object} entity - {block, elem}
+ * @param {Object} dependency - deps.js entry or `elems` item
+ * @param {Boolean} booleanMods - modifier value also refers to the boolean modifier
+ * @return {Array<Object>}
+ */
+function expandEntity(entity, dependency, booleanMods) {
+    const mods = entity.elem ? (dependency.elemMods || dependency.mods) : dependency.mods;
+    let output = [];
+
+    if (mods && typeof mods === 'object') {
+        output = output.concat(expandMods(entity, mods, booleanMods));
+    }
+
+    if (dependency.mod) {
+        output = output.concat(expandMod(entity, dependency.mod, dependency.val));
+    }
+
+    return output.length ? output : [entity];
+}
+
+/**
+ * Helper function
+ * Expands deps.js entry into the list of BEM naming objects
+ *
+ * @param {Object} dependency - deps.js entry
+ * @param {Object} context - owning entity BEM naming
+ * @param {Boolean} booleanMods - modifier value also refers to the boolean modifier
+ * @return {Array<Object>}
+ * @see https://en.bem.info/technology/deps/about/#depsjs-syntax
+ */
+function expandDepsEntry(dependency, context, booleanMods) {
+    const {block, elem} = resolveEntityContext(dependency, context);
+
+    // {block: 'b', elem: ['e1', 'e2'], mods: {...}}
+    if (Array.isArray(elem)) {
+        return elem.reduce((output, elemName) => output.concat(expandEntity({block, elem: elemName}, dependency, booleanMods)), []);
+    }
+
+    // {block: 'b', elem: 'e', mods: {...}}
+    if (elem) {
+        return expandEntity({block, elem}, dependency, booleanMods);
+    }
+
+    const hasMods = Boolean(dependency.mods || dependency.mod);
+    let output = hasMods ? expandEntity({block}, dependency, booleanMods) : [];
+
+    // {block: 'b', elems: ['e1', {elem: 'e2', mods: {...}}]}
+    if (dependency.elems) {
+        for (let elemsItem of [].concat(dependency.elems)) {
+            output = (typeof elemsItem === 'object')
+                ? output.concat(expandEntity({block, elem: elemsItem.elem}, elemsItem, booleanMods))
+                : output.concat(expandEntity({block, elem: elemsItem}, {}, booleanMods));
+        }
+    }
+
+    return (hasMods || dependency.elems) ? output : [{block}];
+}
+
+/**
+ * Helper function
+ * Flattens deps.js section: entry with `mustDeps`, `shouldDeps` or `noDeps` fields
+ * Section can be scoped to the technology with `tech` field and to the other entity
+ * of the owning block with `block`, `elem`, `mod` and `val` fields
+ *
+ * @param {Object} dependency - deps.js entry
+ * @param {Object} naming - naming delimiters: {elem, mod, modVal}
+ * @param {Object} section - parent section: {owner, tech, booleanMods, file}
+ * @return {Array<Object>}
+ */
+function flattenDepsSection(dependency, naming, section) {
+    const {block, elem, mod, val} = dependency;
+    const hasOwnEntity = [block, elem, mod, val].some(value => value !== undefined);
+    const owners = hasOwnEntity ? expandDepsEntry({block, elem, mod, val}, section.owner, section.booleanMods) : [section.owner];
+    const tech = dependency.tech || section.tech;
+    let output = [];
+
+    for (let owner of owners) {
+        for (let depsKey of Object.keys(DEPS_KEYS_STRENGTH)) {
+            if (dependency[depsKey]) {
+                output = output.concat(flattenDepsJS(dependency[depsKey], naming, {
+                    owner,
+                    tech,
+                    strength: DEPS_KEYS_STRENGTH[depsKey],
+                    booleanMods: section.booleanMods,
+                    file: section.file
+                }));
+            }
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Flatten dependencies from deps.js files
+ *
+ * @param {Object|String|Array<Object|String>} deps - string entries are block names
+ * @param {Object} naming - naming delimiters: {elem, mod, modVal}
+ * @param {Object} section - {owner, tech, strength, booleanMods, file}: owner is an entity BEM naming which is used
+ *                           to resolve entries without block or element, tech is the owner technology,
+ *                           booleanMods means that modifier value also refers to the boolean modifier,
+ *                           file is the deps file path for error messages
+ * @return {Array<Object>} list of {stem, ownerStem, strength, tech, dependencyTech, entry, implied} objects,
+ * entry is the deps.js entry, implied means that the entry doesn't name the dependency (e.g. boolean modifier)
+ * @throws {PluginError} if deps entry is invalid
+ * @see https://en.bem.info/technology/deps/about/#depsjs-syntax
+ */
+function flattenDepsJS(deps, naming, section) {
+    let output = [];
+
+    if (!Array.isArray(deps)) {
+        deps = [deps];
+    }
+
+    deps.forEach(dependency => {
+        // string entry is a block name
+        if (typeof dependency === 'string' && dependency) {
+            dependency = {block: dependency};
+        }
+
+        if (!dependency || typeof dependency !== 'object' || Array.isArray(dependency)) {
+            throw new PluginError(PLUGIN_NAME, `Invalid deps entry in ${section.file}: ${JSON.stringify(dependency)}`);
+        }
+
+        if (dependency.mustDeps || dependency.shouldDeps || dependency.noDeps) {
+            output = output.concat(flattenDepsSection(dependency, naming, section));
+            return;
+        }
+
+        for (let bemNaming of expandDepsEntry(dependency, section.owner, section.booleanMods)) {
+            output.push({
+                stem: bemNamingToClassname(bemNaming, naming),
+                ownerStem: bemNamingToClassname(section.owner, naming),
+                strength: section.strength,
+                tech: section.tech,
+                dependencyTech: dependency.tech,
+                entry: dependency,
+                implied: Boolean(bemNaming.implied)
+            });
+        }
+    });
+
+    return output;
+}
+
+/**
+ * Parse deps.js file into flat list of dependencies
+ * In-memory deps files have already evaluated declaration instead of contents
+ *
+ * @param {Object} dependencyFile - {path, contents} or {path, declaration}
+ * @param {String} ownStem - stem of the entity which deps.js file belongs to
+ * @param {Object} options - normalized plugin options
+ * @return {Array<Object>} list of {stem, ownerStem, strength, tech, dependencyTech} objects
+ */
+function parseDependencies(dependencyFile, ownStem, {naming, depsTimeout, basicDeps}) {
+    const deps = (dependencyFile.declaration !== undefined)
+        ? dependencyFile.declaration
+        : loadDeps(dependencyFile.contents, dependencyFile.path, depsTimeout);
+    const owner = parseBemNaming(ownStem, naming);
+
+    const section = {owner, strength: EDGE_MUST, booleanMods: basicDeps.booleanMods, file: dependencyFile.path};
+
+    // entity can't depend on itself, such entries only state that it's used
+    return flattenDepsJS(deps, naming, section)
+        .filter(({stem, ownerStem}) => stem && stem !== ownerStem);
+}
+
+/**
+ * Build basic dependencies of the entity from its file name using basic dependencies rules
+ * What is basic dependency?
+ * With the default rules `block_mod_val__elem` depends on `block_mod_val`,
+ * which depends on `block_mod`, which depends on `block`
+ *
+ * @param {String} stem
+ * @param {Object} naming - naming delimiters: {elem, mod, modVal}
+ * @param {Array<Function>} rules - BEM naming object -> list of BEM naming objects which entity directly depends on
+ * @return {Array<Array<String>>} list of [dependency stem, dependent stem, rule name] triples
+ * @throws {PluginError} if stem has invalid BEM naming or rule returns invalid entities
+ */
+function buildBasicDependencies(stem, naming, rules) {
+    const bemNaming = parseBemNaming(stem, naming);
+    const output = [];
+
+    // validate bem naming
+    const isBadNaming = BEM_NAMING_PARSED_KEYS.some(key => bemNaming[key] === '')
+        || bemNamingToClassname(bemNaming, naming) !== stem;
+
+    if (isBadNaming) {
+        throw new PluginError(PLUGIN_NAME, `Invalid bem naming used: ${stem}`, {showStack: true});
+    }
+
+    // rules are applied to the found dependencies until there are no new ones
+    const visited = new Set([stem]);
+    const queue = [bemNaming];
+
+    while (queue.length) {
+        const entity = queue.shift();
+        const entityStem = bemNamingToClassname(entity, naming);
+
+        for (let rule of rules) {
+            const dependencies = rule(Object.assign({}, entity));
+            const isValid = Array.isArray(dependencies)
+                && dependencies.every(dependency => dependency && typeof dependency.block === 'string' && dependency.block);
+
+            if (!isValid) {
+                throw new PluginError(PLUGIN_NAME, `Basic dependencies rule should return an array of BEM entities, got ${JSON.stringify(dependencies)} for ${entityStem}`);
+            }
+
+            for (let dependency of dependencies) {
+                const dependencyStem = bemNamingToClassname(dependency, naming);
+                if (dependencyStem === entityStem) {
+                    continue;
+                }
+
+                output.push([dependencyStem, entityStem, rule.name]);
+
+                if (!visited.has(dependencyStem)) {
+                    visited.add(dependencyStem);
+                    queue.push(dependency);
+                }
+            }
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Helper function
+ * Adds file to the list of node files keeping them sorted by redefinition level
+ *
+ * @param {Object} node
+ * @param {Object} file - input file wrapper: {file, path}
+ * @param {Number} level
+ */
+function addNodeFile(node, file, level) {
+    node.files = node.files || [];
+
+    let index = node.files.findIndex(nodeFile => nodeFile.level > level);
+    if (index === -1) {
+        index = node.files.length;
+    }
+
+    node.files.splice(index, 0, {file, level});
+}
+
+/**
+ * Helper function
+ * Resolves stems of the root entities
+ * Roots can be a list of stems and deps.js entries or a path to bemdecl.js / JSON declaration file
+ *
+ * @param {Array<String|Object>|String} roots
+ * @param {Object} options - normalized plugin options
+ * @return {Array<Object>} list of {stem, implied}, implied stems are not named by roots (e.g. boolean modifiers)
+ */
+function resolveRootStems(roots, {naming, depsTimeout, basicDeps}) {
+    const entries = (typeof roots === 'string')
+        ? loadDeclaration(path.resolve(roots), depsTimeout)
+        : roots;
+
+    return entries.reduce((output, entry) => {
+        if (typeof entry === 'string') {
+            return output.concat({stem: entry, implied: false});
+        }
+
+        if (!entry || typeof entry !== 'object' || !entry.block) {
+            throw new PluginError(PLUGIN_NAME, `Invalid root entity: ${JSON.stringify(entry)}`);
+        }
+
+        return output.concat(expandDepsEntry(entry, {}, basicDeps.booleanMods).map(bemNaming => ({
+            stem: bemNamingToClassname(bemNaming, naming),
+            implied: Boolean(bemNaming.implied)
+        })));
+    }, []);
+}
+
+/**
+ * Helper function
+ * Returns stem of the deps file: the first matching suffix is stripped,
+ * everything after the first dot is stripped if none of suffixes match
+ *
+ * @param {String} filePath
+ * @param {Array<String>} depsSuffixes
+ * @return {String}
+ */
+function getDepsFileStem(filePath, depsSuffixes) {
+    const suffix = depsSuffixes.find(depsSuffix => path.basename(filePath).endsWith(depsSuffix));
+    return getFileStem(filePath, suffix);
+}
+
+/**
+ * Helper function
+ * Returns key of the graph node for the entity technology
+ *
+ * @param {String} stem
+ * @param {String} tech
+ * @return {String}
+ */
+function getNodeKey(stem, tech) {
+    return tech ? `${stem}.${tech}` : stem;
+}
+
+/**
+ * Helper function
+ * Returns comparator of node keys which is used for tie-breaking in topological sort
+ * Nodes without input files go first as they don't produce any output
+ *
+ * @param {Map<String, Number>} inputIndexes - node key -> index of its first input file
+ * @param {String} order - input or alphabetical
+ * @return {Function}
+ */
+function getNodesComparator(inputIndexes, order) {
+    const compareStrings = (a, b) => (a < b) ? -1 : Number(a > b);
+
+    return (a, b) => {
+        const aHasFiles = inputIndexes.has(a);
+        const bHasFiles = inputIndexes.has(b);
+
+        if (aHasFiles !== bHasFiles) {
+            return aHasFiles ? 1 : -1;
+        }
+
+        if (!aHasFiles || order === 'alphabetical') {
+            return compareStrings(a, b);
+        }
+
+        return inputIndexes.get(a) - inputIndexes.get(b);
+    };
+}
+
+/**
+ * Helper function
+ * Groups sorted nodes by technologies order keeping the sorted order inside each group
+ * Nodes of technologies which are not listed go last
+ *
+ * @param {Array<Object>} nodes
+ * @param {Array<String>} techs
+ * @return {Array<Object>}
+ */
+function groupNodesByTech(nodes, techs) {
+    if (!techs.length) {
+        return nodes;
+    }
+
+    const getTechIndex = ({tech}) => techs.includes(tech) ? techs.indexOf(tech) : techs.length;
+
+    return nodes
+        .map((node, index) => ({node, index, techIndex: getTechIndex(node)}))
+        .sort((a, b) => (a.techIndex - b.techIndex) || (a.index - b.index))
+        .map(({node}) => node);
+}
+
+/**
+ * Helper function
+ * Sorts files by redefinition level keeping original order of files on the same level
+ *
+ * @param {Array<Object>} files - objects with `path` field
+ * @param {Array<String>} levels
+ * @return {Array<Object>}
+ */
+function sortFilesByLevel(files, levels) {
+    return files
+        .map((file, index) => ({file, index, level: getLevelIndex(file.path, levels)}))
+        .sort((a, b) => (a.level - b.level) || (a.index - b.index))
+        .map(({file}) => file);
+}
+
+/**
+ * Helper function
+ * Returns path of the file: plain path or object with `path` field (vinyl file)
+ *
+ * @param {String|Object} file
+ * @return {String}
+ */
+function getFilePath(file) {
+    return (typeof file === 'string') ? file : file.path;
+}
+
+/**
+ * Helper function
+ * Reads deps file: vinyl file or object with `path` and `contents` (or evaluated `declaration`) fields is used as is,
+ * file is read from disk if only path is known
+ *
+ * @param {String|Object} depsFile
+ * @return {Object} {path, contents} or {path, declaration}
+ * @throws {PluginError} if deps file can't be read
+ */
+function readDepsFile(depsFile) {
+    const filePath = getFilePath(depsFile);
+
+    if (typeof depsFile === 'object' && depsFile.declaration !== undefined) {
+        return {path: filePath, declaration: depsFile.declaration};
+    }
+
+    if (typeof depsFile === 'object' && depsFile.contents !== null && depsFile.contents !== undefined) {
+        return {path: filePath, contents: depsFile.contents.toString('utf8')};
+    }
+
+    try {
+        return {path: filePath, contents: fs.readFileSync(filePath, 'utf8')};
+    } catch (err) {
+        throw new PluginError(PLUGIN_NAME, `Failed to read deps file ${filePath}: ${err.message}`);
+    }
+}
+
+/**
+ * Helper function
+ * Parses deps.js file or takes its dependencies from the cache if file contents haven't changed
+ *
+ * @param {Object|null} cache - cache created by createDepsCache()
+ * @param {Object} dependencyFile - {path, contents}
+ * @param {String} ownStem - stem of the entity which deps.js file belongs to
+ * @param {Object} options - normalized plugin options
+ * @return {Array<Object>} list of {stem, ownerStem, strength, tech, dependencyTech} objects
+ */
+function getCachedDependencies(cache, dependencyFile, ownStem, options) {
+    // in-memory declarations are not evaluated so there's nothing to cache
+    if (!cache || dependencyFile.declaration !== undefined) {
+        return parseDependencies(dependencyFile, ownStem, options);
+    }
+
+    const hash = crypto.createHash('md5').update(dependencyFile.contents).digest('hex');
+    const cached = cache.parsed.get(dependencyFile.path);
+
+    if (cached && cached.hash === hash) {
+        return cached.dependencies;
+    }
+
+    const dependencies = parseDependencies(dependencyFile, ownStem, options);
+    cache.parsed.set(dependencyFile.path, {hash, dependencies});
+
+    return dependencies;
+}
+
+/**
+ * Helper function
+ * Builds basic dependencies of the entity or takes them from the cache
+ *
+ * @param {Object|null} cache - cache created by createDepsCache()
+ * @param {String} stem
+ * @param {Object} options - normalized plugin options
+ * @return {Array<Array<String>>} list of [dependency stem, dependent stem, rule name] triples
+ */
+function getCachedBasicDependencies(cache, stem, {naming, basicDeps}) {
+    if (!cache) {
+        return buildBasicDependencies(stem, naming, basicDeps.rules);
+    }
+
+    if (!cache.basic.has(stem)) {
+        cache.basic.set(stem, buildBasicDependencies(stem, naming, basicDeps.rules));
+    }
+
+    return cache.basic.get(stem);
+}
+
+/**
+ * Helper function
+ * Builds contribution of deps.js file to the graph of deps.js files: nodes and edges which it declares,
+ * edges which it cancels with noDeps and entities which it refers to
+ *
+ * @param {Array<Object>} dependencies - parsed dependencies of deps.js file
+ * @param {String} filePath - deps.js file path
+ * @param {Number} level - redefinition level index of deps.js file
+ * @param {Set<String>} fileTechs - technologies of input files
+ * @return {Object} {dependencies, level, nodes, edges, noDeps, references, impliedReferences}
+ */
+function buildDepsContribution(dependencies, filePath, level, fileTechs) {
+    const nodeKeys = new Set;
+    const contribution = {dependencies, level, nodes: [], edges: [], noDeps: [], references: [], impliedReferences: []};
+
+    const addNode = (stem, tech) => {
+        const key = getNodeKey(stem, tech);
+
+        if (!nodeKeys.has(key)) {
+            nodeKeys.add(key);
+            contribution.nodes.push({key, stem, tech});
+        }
+
+        return key;
+    };
+
+    for (let {stem: dependencyStem, ownerStem, strength, tech, dependencyTech, entry, implied} of dependencies) {
+        if ((tech && !fileTechs.has(tech)) || (dependencyTech && !fileTechs.has(dependencyTech))) {
+            continue;
+        }
+
+        // implied dependencies are not named by deps.js entries, so they are not reported as missing ones
+        if (strength !== EDGE_NONE) {
+            (implied ? contribution.impliedReferences : contribution.references).push(dependencyStem);
+        }
+
+        for (let ownerTech of (tech ? [tech] : fileTechs)) {
+            if (strength === EDGE_NONE) {
+                contribution.noDeps.push([getNodeKey(dependencyStem, dependencyTech || ownerTech), getNodeKey(ownerStem, ownerTech)]);
+                continue;
+            }
+
+            contribution.edges.push({
+                fromKey: addNode(dependencyStem, dependencyTech || ownerTech),
+                toKey: addNode(ownerStem, ownerTech),
+                strength,
+                origin: {type: ORIGIN_DEPS, file: filePath, strength, entry}
+            });
+        }
+    }
+
+    return contribution;
+}
+
+/**
+ * Helper function
+ * Adds nodes and edges of deps.js files graph to the dependency graph
+ * They are added in deps.js files order, so the result doesn't depend on the order in which the cached graph was patched
+ *
+ * @param {Object} depsGraph - graph of deps.js files patched with patchDepsGraph()
+ * @param {Array<String>} depsFilePaths - paths of deps.js files in the graph sorted by redefinition levels
+ * @param {Map<String, Object>} nodes - node key -> {stem, tech}
+ * @param {Map<String, Map<String, Object>>} edges - source node key -> (target node key -> {strength, origins})
+ */
+function addDepsGraph(depsGraph, depsFilePaths, nodes, edges) {
+    const positions = new Map(depsFilePaths.map((filePath, index) => [filePath, index]));
+    const compareRanks = (a, b) => (a.rank[0] - b.rank[0]) || (a.rank[1] - b.rank[1]);
+
+    const rankedNodes = [...depsGraph.nodes].map(([key, {stem, tech, files}]) => ({
+        key,
+        node: {stem, tech},
+        rank: [...files].map(([filePath, index]) => [positions.get(filePath), index]).sort((a, b) => (a[0] - b[0]) || (a[1] - b[1]))[0]
+    }));
+
+    for (let {key, node} of rankedNodes.sort(compareRanks)) {
+        nodes.set(key, node);
+    }
+
+    const rankedEdges = [];
+
+    for (let [fromKey, targets] of depsGraph.edges) {
+        for (let [toKey, {contributions, survivors}] of targets) {
+            if (!survivors.length) {
+                continue;
+            }
+
+            const filePaths = survivors.slice().sort((a, b) => positions.get(a) - positions.get(b));
+            const rank = [positions.get(filePaths[0]), contributions.get(filePaths[0])[0].index];
+
+            rankedEdges.push({fromKey, toKey, rank, items: filePaths.map(filePath => contributions.get(filePath))});
+        }
+    }
+
+    for (let {fromKey, toKey, items} of rankedEdges.sort(compareRanks)) {
+        for (let {strength, origin} of [].concat(...items)) {
+            addEdge(edges, fromKey, toKey, strength, origin);
+        }
+    }
+}
+
+/**
+ * Resolve order of BEM files based on deps.js files
+ * Gulp-independent core of the plugin: it takes plain lists of files and returns ordered list with diagnostics
+ *
+ * @param {Object} params
+ * @param {Array<String|Object>} params.files - input files: paths or objects with `path` field (e.g. vinyl files)
+ * @param {Array<String|Object>} [params.deps] - deps files: paths or objects with `path` and `contents` (or `declaration`) fields
+ * @param {Object} [params.options] - plugin options
+ * @param {Object} [params.cache] - cache created by createDepsCache() which is shared between runs with the same options
+ * @return {Object} {files, pruned, chunks, graph, explanations, warnings}: ordered and pruned input files (the same
+ * objects which are passed), list of {name, files} chunks if `chunks` option is set, dependency graph,
+ * results of explainOrder() for `explain` option pairs and warning messages
+ * @throws {PluginError} if files can't be ordered, circular dependency error has `graph` field
+ */
+export default function resolveOrder({files, deps = [], options, cache = null}) {
+    const normalizedOptions = normalizeOptions(options);
+    const {
+        levels,
+        techs,
+        roots,
+        chunks,
+        reportPruned,
+        depsSuffix,
+        graph: graphOptions,
+        cycles: cyclesReport,
+        order,
+        report,
+        explain,
+        bestEffort,
+        logger
+    } = normalizedOptions;
+
+    const warnings = [];
+    const warn = message => {
+        warnings.push(message);
+        logger.warn(colors.yellow(message));
+    };
+
+    // in best-effort mode errors which don't prevent ordering are turned into warnings
+    const recover = (err, consequence) => {
+        if (!bestEffort) {
+            throw err;
+        }
+
+        warn(`${err.message}\n${consequence}`);
+    };
+
+    // entity can be defined by the file name and by its directories
+    const getEntityStem = (filePath, fileStem) => {
+        try {
+            return getLayoutStem(filePath, fileStem, normalizedOptions);
+        } catch (err) {
+            recover(err, `Entity ${fileStem} is taken from the file name`);
+            return fileStem;
+        }
+    };
+
+    // input files are wrapped so that original objects are returned
+    const inputFiles = files.map(file => ({file, path: getFilePath(file)}));
+
+    // we need to merge input files with deps files
+    // output should also contain basic dependencies (`block` for `block__elem`)
+    // we also need to distinguish between existing files in the merged set
+    // and those which don't exist (there's no such file in `files` array)
+    const mergedNodes = new Map;
+    const edges = new Map;
+
+    // every entity has its own node for each technology
+    const getNode = (stem, tech) => {
+        const key = getNodeKey(stem, tech);
+
+        if (!mergedNodes.has(key)) {
+            mergedNodes.set(key, {stem, tech});
+        }
+
+        return key;
+    };
+
+    // deps.js files from all redefinition levels are merged, library levels go first
+    const sortedDepsFiles = sortFilesByLevel(deps.map(readDepsFile), levels);
+
+    // technologies of input files: deps.js dependencies are applied to each of them
+    const fileTechs = new Set(inputFiles.map(inputFile => getFileTech(inputFile.path)));
+
+    // entities which are referenced by deps.js files and which have deps.js files, used for report
+    const references = new Map;
+    const impliedReferences = new Set;
+    const depsFileStems = new Map;
+    const fileStems = new Map;
+    const addToMapList = (map, key, value) => map.set(key, (map.get(key) || []).concat(value));
+
+    // first add all dependencies with their dependencies
+    // graph of deps.js files is patched with contributions of added, changed and removed deps.js files only
+    const depsGraph = (cache || createDepsCache()).graph;
+    const techsKey = [...fileTechs].sort().join(',');
+
+    if (depsGraph.techs !== techsKey) {
+        depsGraph.techs = techsKey;
+        depsGraph.files.clear();
+        depsGraph.nodes.clear();
+        depsGraph.edges.clear();
+    }
+
+    const depsFilePaths = [];
+
+    for (let dependencyFile of sortedDepsFiles) {
+        // in-memory declarations are keyed by entity so they don't follow the layout
+        const fileStem = getDepsFileStem(dependencyFile.path, depsSuffix);
+        const stem = (dependencyFile.declaration !== undefined) ? fileStem : getEntityStem(dependencyFile.path, fileStem);
+        addToMapList(depsFileStems, stem, dependencyFile.path);
+
+        let stemDependencies;
+
+        try {
+            stemDependencies = getCachedDependencies(cache, dependencyFile, stem, normalizedOptions);
+        } catch (err) {
+            recover(err, `Deps file ${dependencyFile.path} is ignored`);
+            patchDepsGraph(depsGraph, dependencyFile.path, null);
+            continue;
+        }
+
+        // parsed dependencies are taken from the cache if deps.js file hasn't changed
+        const level = getLevelIndex(dependencyFile.path, levels);
+        const previous = depsGraph.files.get(dependencyFile.path);
+
+        if (!previous || previous.dependencies !== stemDependencies || previous.level !== level) {
+            const contribution = buildDepsContribution(stemDependencies, dependencyFile.path, level, fileTechs);
+            patchDepsGraph(depsGraph, dependencyFile.path, contribution);
+        }
+
+        depsFilePaths.push(dependencyFile.path);
+
+        for (let dependencyStem of depsGraph.files.get(dependencyFile.path).references) {
+            if (!references.has(dependencyStem)) {
+                references.set(dependencyStem, new Set);
+            }
+
+            references.get(dependencyStem).add(dependencyFile.path);
+        }
+
+        for (let dependencyStem of depsGraph.files.get(dependencyFile.path).impliedReferences) {
+            impliedReferences.add(dependencyStem);
+        }
+    }
+
+    // deps.js files which are removed since the previous run are dropped from the cache
+    const depsPaths = new Set(sortedDepsFiles.map(dependencyFile => dependencyFile.path));
+
+    for (let filePath of [...depsGraph.files.keys()]) {
+        if (!depsPaths.has(filePath)) {
+            patchDepsGraph(depsGraph, filePath, null);
+        }
+    }
+
+    if (cache) {
+        for (let filePath of cache.parsed.keys()) {
+            if (!depsPaths.has(filePath)) {
+                cache.parsed.delete(filePath);
+            }
+        }
+    }
+
+    addDepsGraph(depsGraph, depsFilePaths, mergedNodes, edges);
+
+    // then add all files and their basic dependencies
+    // the first input file of the node defines its position among nodes without dependencies between them
+    const inputIndexes = new Map;
+
+    inputFiles.forEach((inputFile, index) => {
+        const stem = getEntityStem(inputFile.path, getFileStem(inputFile.path));
+        const tech = getFileTech(inputFile.path);
+        const nodeKey = getNode(stem, tech);
+
+        if (!inputIndexes.has(nodeKey)) {
+            inputIndexes.set(nodeKey, index);
+        }
+
+        addNodeFile(mergedNodes.get(nodeKey), inputFile, getLevelIndex(inputFile.path, levels));
+        addToMapList(fileStems, stem, inputFile.path);
+
+        let fileDependencies = [];
+
+        try {
+            fileDependencies = getCachedBasicDependencies(cache, stem, normalizedOptions);
+        } catch (err) {
+            recover(err, `Basic dependencies of ${inputFile.path} are ignored`);
+        }
+
+        for (let [dependencyStem, dependentStem, rule] of fileDependencies) {
+            const origin = rule ? {type: ORIGIN_BASIC, rule} : {type: ORIGIN_BASIC};
+            addEdge(edges, getNode(dependencyStem, tech), getNode(dependentStem, tech), EDGE_MUST, origin);
+        }
+    });
+
+    // entities which are removed from the input since the previous run are dropped from the cache
+    if (cache) {
+        for (let stem of cache.basic.keys()) {
+            if (!fileStems.has(stem)) {
+                cache.basic.delete(stem);
+            }
+        }
+    }
+
+    const reportErrors = reportEntities(report, {references, impliedReferences, fileStems, depsFileStems}, warn);
+    if (reportErrors.length) {
+        recover(new PluginError(PLUGIN_NAME, reportErrors.join('\n')), 'Files are ordered anyway');
+    }
+
+    // mustDeps edges are added as is: their cycles are errors
+    // shouldDeps edges are added only if they don't form a cycle with already added ones
+    const addedEdges = new Map;
+    const mustEdges = [];
+    const softEdges = [];
+
+    for (let [fromKey, targets] of edges) {
+        for (let [toKey, edge] of targets) {
+            if (edge.strength === EDGE_MUST) {
+                addEdge(addedEdges, fromKey, toKey, EDGE_MUST);
+                mustEdges.push([fromKey, toKey, edge]);
+            } else {
+                softEdges.push([fromKey, toKey, edge]);
+            }
+        }
+    }
+
+    const exportGraph = () => {
+        const output = buildGraph(mergedNodes, edges);
+        if (graphOptions.callback) {
+            graphOptions.callback(output);
+        }
+
+        return output;
+    };
+
+    // report mustDeps cycles with their paths and origins
+    const cycles = findCycles(addedEdges, (cyclesReport === 'all') ? MAX_REPORTED_CYCLES : 1);
+    if (cycles.length) {
+        const message = cycles.map(cycle => formatCycle(cycle, mergedNodes, edges)).join('\n');
+        const error = new PluginError(PLUGIN_NAME, message);
+
+        // files can't be ordered, but the graph is still exported to debug circular dependencies
+        if (!bestEffort) {
+            error.graph = exportGraph();
+        }
+
+        recover(error, 'mustDeps which form circular dependencies are ignored');
+
+        // in best-effort mode mustDeps edges are added again skipping the ones which close cycles
+        addedEdges.clear();
+
+        for (let [fromKey, toKey, edge] of mustEdges) {
+            if (hasPath(addedEdges, toKey, fromKey)) {
+                edge.relaxed = true;
+                continue;
+            }
+
+            addEdge(addedEdges, fromKey, toKey, EDGE_MUST);
+        }
+    }
+
+    for (let [fromKey, toKey, edge] of softEdges) {
+        if (hasPath(addedEdges, toKey, fromKey)) {
+            edge.relaxed = true;
+
+            const {stem: fromStem, tech} = mergedNodes.get(fromKey);
+            const {stem: toStem} = mergedNodes.get(toKey);
+
+            warn(`shouldDeps of ${toStem} on ${fromStem} is ignored for ${tech} files because it forms circular dependency`);
+
+            continue;
+        }
+
+        addEdge(addedEdges, fromKey, toKey, EDGE_SHOULD);
+    }
+
+    const graph = exportGraph();
+
+    // explanations are debug output, so they are printed but not collected as warnings
+    const explanations = explain.map(([first, second]) => explainOrder(graph, first, second));
+    for (let {message} of explanations) {
+        logger.warn(message);
+    }
+
+    const sortedKeys = sortNodes(mergedNodes.keys(), addedEdges, getNodesComparator(inputIndexes, order));
+    const sorted = groupNodesByTech(sortedKeys.map(key => mergedNodes.get(key)), techs);
+
+    // only files required by roots are pushed if roots are set
+    // roots which are not found in the graph are most likely typos, so they are reported
+    const getRequiredKeys = rootsOption => {
+        const rootKeys = [];
+        const unresolvedStems = [];
+
+        for (let {stem: rootStem, implied} of resolveRootStems(rootsOption, normalizedOptions)) {
+            const keys = [...fileTechs].map(tech => getNodeKey(rootStem, tech)).filter(key => mergedNodes.has(key));
+
+            if (!keys.length && !implied) {
+                unresolvedStems.push(rootStem);
+            }
+
+            rootKeys.push(...keys);
+        }
+
+        if (unresolvedStems.length) {
+            const message = `Root entities are not found in the dependency graph: ${unresolvedStems.join(', ')}`;
+            recover(new PluginError(PLUGIN_NAME, message), 'Roots which are not found are ignored');
+        }
+
+        return findRequired(edges, rootKeys);
+    };
+
+    let requiredKeys = roots ? getRequiredKeys(roots) : null;
+    const orderedFiles = [];
+    const prunedFiles = [];
+
+    // with chunks every node belongs to the only chunk which requires it or to the common chunk
+    const nodeChunks = new Map;
+    const chunkNames = chunks ? [chunks.common].concat(Object.keys(chunks.roots)) : [];
+    const chunkFiles = new Map(chunkNames.map(name => [name, []]));
+
+    if (chunks) {
+        for (let name of Object.keys(chunks.roots)) {
+            for (let key of getRequiredKeys(chunks.roots[name])) {
+                nodeChunks.set(key, nodeChunks.has(key) ? chunks.common : name);
+            }
+        }
+
+        requiredKeys = new Set(nodeChunks.keys());
+    }
+
+    // files of the same entity go in redefinition levels order
+    for (let node of sorted) {
+        if (!node.files) {
+            continue;
+        }
+
+        const nodeKey = getNodeKey(node.stem, node.tech);
+        const isRequired = !requiredKeys || requiredKeys.has(nodeKey);
+
+        for (let {file: inputFile} of node.files) {
+            if (!isRequired) {
+                prunedFiles.push(inputFile.file);
+            } else if (chunks) {
+                chunkFiles.get(nodeChunks.get(nodeKey)).push(inputFile.file);
+            } else {
+                orderedFiles.push(inputFile.file);
+            }
+        }
+    }
+
+    // chunks are ordered by the same graph and go one after another, common chunk goes first
+    const chunksOutput = chunks ? chunkNames.map(name => ({name, files: chunkFiles.get(name)})) : null;
+
+    for (let chunk of chunksOutput || []) {
+        orderedFiles.push(...chunk.files);
+    }
+
+    if (reportPruned && prunedFiles.length) {
+        const prunedList = prunedFiles.map(file => `    ${getFilePath(file)}`).join('\n');
+        warn(`Files which are not required by roots are dropped:\n${prunedList}`);
+    }
+
+    return {
+        files: orderedFiles,
+        pruned: prunedFiles,
+        chunks: chunksOutput,
+        graph,
+        explanations,
+        warnings
+    };
+}
+
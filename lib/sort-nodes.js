@@ -0,0 +1,129 @@
+'use strict';
+
+import PluginError from 'plugin-error';
+import {PLUGIN_NAME} from './constants';
+
+/**
+ * Helper function
+ * Minimal binary heap which is used as a priority queue
+ *
+ * @param {Function} compare
+ * @return {Object} {push, pop, size}
+ */
+function createHeap(compare) {
+    const items = [];
+
+    const swap = (i, j) => {
+        const item = items[i];
+        items[i] = items[j];
+        items[j] = item;
+    };
+
+    return {
+        size: () => items.length,
+
+        push(item) {
+            items.push(item);
+
+            let index = items.length - 1;
+            while (index > 0) {
+                const parentIndex = (index - 1) >> 1;
+                if (compare(items[parentIndex], items[index]) <= 0) {
+                    break;
+                }
+
+                swap(index, parentIndex);
+                index = parentIndex;
+            }
+        },
+
+        pop() {
+            const top = items[0];
+            const last = items.pop();
+
+            if (items.length) {
+                items[0] = last;
+
+                let index = 0;
+                let smallest = 0;
+
+                do {
+                    index = smallest;
+
+                    const left = index * 2 + 1;
+                    const right = left + 1;
+
+                    if (left < items.length && compare(items[left], items[smallest]) < 0) {
+                        smallest = left;
+                    }
+
+                    if (right < items.length && compare(items[right], items[smallest]) < 0) {
+                        smallest = right;
+                    }
+
+                    if (smallest !== index) {
+                        swap(index, smallest);
+                    }
+                } while (smallest !== index);
+            }
+
+            return top;
+        }
+    };
+}
+
+/**
+ * Sort graph nodes topologically with deterministic tie-breaking
+ * At every step the smallest node (according to `compare`) of those which have
+ * all of their dependencies sorted is taken, so nodes without constraints between them
+ * are kept in `compare` order
+ *
+ * @param {Iterable<String>} keys - node keys
+ * @param {Map<String, Map<String, *>>} edges - source node key -> (target node key -> edge data), from dependency to dependent
+ * @param {Function} compare - node keys comparator
+ * @return {Array<String>} sorted node keys
+ * @throws {PluginError} if graph has circular dependency
+ */
+export default function sortNodes(keys, edges, compare) {
+    const inDegrees = new Map;
+
+    for (let key of keys) {
+        inDegrees.set(key, 0);
+    }
+
+    for (let [, targets] of edges) {
+        for (let [toKey] of targets) {
+            inDegrees.set(toKey, inDegrees.get(toKey) + 1);
+        }
+    }
+
+    const queue = createHeap(compare);
+    const output = [];
+
+    for (let [key, inDegree] of inDegrees) {
+        if (inDegree === 0) {
+            queue.push(key);
+        }
+    }
+
+    while (queue.size()) {
+        const key = queue.pop();
+        output.push(key);
+
+        for (let [toKey] of edges.get(key) || []) {
+            const inDegree = inDegrees.get(toKey) - 1;
+            inDegrees.set(toKey, inDegree);
+
+            if (inDegree === 0) {
+                queue.push(toKey);
+            }
+        }
+    }
+
+    if (output.length !== inDegrees.size) {
+        const unsorted = [...inDegrees.keys()].filter(key => inDegrees.get(key) > 0);
+        throw new PluginError(PLUGIN_NAME, `Nodes form circular dependency: ${unsorted.join(', ')}`);
+    }
+
+    return output;
+}
@@ -0,0 +1,6 @@
+'use strict';
+
+exports.blocks = [
+    {name: 'page'},
+    {name: 'sidebar', elems: [{name: 'item'}]}
+];
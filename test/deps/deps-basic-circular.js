@@ -0,0 +1,9 @@
+'use strict';
+
+module.exports = {
+    block: {
+        mustDeps: [
+            {elem: 'elem'}
+        ]
+    }
+};
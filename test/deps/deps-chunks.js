@@ -0,0 +1,35 @@
+'use strict';
+
+module.exports = {
+    index: {
+        mustDeps: [
+            {block: 'header'},
+            {block: 'promo'}
+        ]
+    },
+
+    about: {
+        mustDeps: [
+            {block: 'header'},
+            {block: 'team'}
+        ]
+    },
+
+    header: {
+        mustDeps: [
+            {block: 'variables'}
+        ]
+    },
+
+    promo: {
+        mustDeps: [
+            {block: 'variables'}
+        ]
+    },
+
+    team: {
+        mustDeps: [
+            {block: 'mixins'}
+        ]
+    }
+};
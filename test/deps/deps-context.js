@@ -0,0 +1,27 @@
+'use strict';
+
+module.exports = {
+    'button__icon': {
+        mustDeps: [
+            {elem: 'text'}
+        ]
+    },
+
+    'button__text': {
+        shouldDeps: [
+            {mods: {size: 'm'}}
+        ]
+    },
+
+    'button_theme_dark': {
+        mustDeps: [
+            {elems: ['box']}
+        ]
+    },
+
+    'link': {
+        mustDeps: [
+            {block: 'button', elems: ['icon']}
+        ]
+    }
+};
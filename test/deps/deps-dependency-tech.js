@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+    button: {
+        mustDeps: [
+            {block: 'i-bem', tech: 'js'}
+        ]
+    },
+
+    'i-bem': {
+        mustDeps: [
+            {block: 'button'}
+        ]
+    }
+};
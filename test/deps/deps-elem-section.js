@@ -0,0 +1,18 @@
+'use strict';
+
+module.exports = {
+    button: [
+        {
+            elem: 'icon',
+            mustDeps: [
+                {block: 'icon'}
+            ]
+        }
+    ],
+
+    icon: {
+        mustDeps: [
+            {block: 'button'}
+        ]
+    }
+};
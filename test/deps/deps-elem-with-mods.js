@@ -0,0 +1,9 @@
+'use strict';
+
+module.exports = {
+    page: {
+        mustDeps: [
+            {block: 'header', elem: 'menu', mods: {theme: 'dark', fixed: true}}
+        ]
+    }
+};
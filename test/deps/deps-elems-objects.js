@@ -0,0 +1,9 @@
+'use strict';
+
+module.exports = {
+    page: {
+        mustDeps: [
+            {block: 'header', elems: ['logo', {elem: 'menu', mods: {theme: 'dark'}}]}
+        ]
+    }
+};
@@ -0,0 +1,7 @@
+'use strict';
+
+module.exports = {
+    page: {
+        mustDeps: [{block: 'header'}, null]
+    }
+};
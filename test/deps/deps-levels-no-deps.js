@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+    'library/input': {
+        noDeps: [
+            {block: 'button'}
+        ]
+    },
+
+    'app/input': {
+        mustDeps: [
+            {block: 'button'}
+        ]
+    }
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+    'library/block': {
+        mustDeps: [
+            {block: 'mixins'}
+        ]
+    },
+
+    'app/block': {
+        mustDeps: [
+            {block: 'variables'}
+        ]
+    }
+};
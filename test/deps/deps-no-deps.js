@@ -0,0 +1,21 @@
+'use strict';
+
+module.exports = {
+    'library/button': {
+        mustDeps: [
+            {block: 'input'}
+        ]
+    },
+
+    'app/button': {
+        noDeps: [
+            {block: 'input'}
+        ]
+    },
+
+    'app/input': {
+        mustDeps: [
+            {block: 'button'}
+        ]
+    }
+};
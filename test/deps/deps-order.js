@@ -0,0 +1,9 @@
+'use strict';
+
+module.exports = {
+    header: {
+        mustDeps: [
+            {block: 'variables'}
+        ]
+    }
+};
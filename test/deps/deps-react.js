@@ -0,0 +1,9 @@
+'use strict';
+
+module.exports = {
+    FilmHeader: {
+        mustDeps: [
+            {block: 'Argument', elems: ['Title']}
+        ]
+    }
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+module.exports = {
+    'admin-post': {
+        mustDeps: [
+            {block: 'variables'},
+            {block: 'button'}
+        ]
+    },
+
+    button: {
+        mustDeps: [
+            {block: 'i-bem', elem: 'dom'}
+        ]
+    },
+
+    'old-block': {
+        mustDeps: [
+            {block: 'variables'}
+        ]
+    }
+};
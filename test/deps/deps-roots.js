@@ -0,0 +1,18 @@
+'use strict';
+
+module.exports = {
+    page: {
+        mustDeps: [
+            {block: 'header'}
+        ],
+        shouldDeps: [
+            {block: 'footer'}
+        ]
+    },
+
+    header: {
+        mustDeps: [
+            {block: 'logo'}
+        ]
+    }
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+    button: {
+        mustDeps: [
+            {block: 'input'}
+        ]
+    },
+
+    input: {
+        shouldDeps: [
+            {block: 'button'}
+        ]
+    }
+};
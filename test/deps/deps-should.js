@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+    block: {
+        shouldDeps: [
+            {block: 'mixins'}
+        ]
+    },
+
+    mixins: {
+        mustDeps: [
+            {block: 'variables'}
+        ]
+    }
+};
@@ -0,0 +1,8 @@
+'use strict';
+
+module.exports = {
+    page: {
+        mustDeps: ['header', 'i-bem'],
+        shouldDeps: 'footer'
+    }
+};
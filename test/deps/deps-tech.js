@@ -0,0 +1,18 @@
+'use strict';
+
+module.exports = {
+    button: [
+        {
+            tech: 'js',
+            mustDeps: [
+                {block: 'i-bem'}
+            ]
+        }
+    ],
+
+    'i-bem': {
+        mustDeps: [
+            {block: 'button'}
+        ]
+    }
+};
@@ -0,0 +1,9 @@
+'use strict';
+
+module.exports = {
+    button: {
+        mustDeps: [
+            {block: 'input'}
+        ]
+    }
+};
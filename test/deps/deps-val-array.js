@@ -0,0 +1,9 @@
+'use strict';
+
+module.exports = {
+    page: {
+        mustDeps: [
+            {block: 'button', mod: 'size', val: ['s', 'm']}
+        ]
+    }
+};
@@ -5,16 +5,18 @@ import {expect} from 'chai';
 import { obj as noop } from 'through2';
 import File from 'vinyl';
 
-import bemDepsOrder from '../index.js';
+import bemDepsOrder, {createDepsCache, createInstance, explainOrder, resolveOrder} from '../index.js';
 import collectStreamFiles from '../lib/collect-stream-files';
+import runCli from '../lib/cli';
+import normalizeOptions from '../lib/options';
 import getFileStem from '../lib/get-file-stem';
 
-function fillDeps(filename, stream) {
+function fillDeps(filename, stream, suffix = '.deps.js') {
     let files = require(`./deps/${filename}`);
 
     Object.keys(files).forEach(file => {
         let vinylFile = new File({
-            path: path.resolve(__dirname, `${file}.deps.js`),
+            path: path.resolve(__dirname, `${file}${suffix}`),
             contents: new Buffer(`(${JSON.stringify(files[file])})`)
         });
 
@@ -24,10 +26,27 @@ function fillDeps(filename, stream) {
     stream.end();
 }
 
-function fillInputFiles(files, stream) {
-    for (let file of files) {
+function fillRawDeps(files, stream) {
+    Object.keys(files).forEach(file => {
+        let vinylFile = new File({
+            path: path.resolve(__dirname, `${file}.deps.js`),
+            contents: new Buffer(files[file])
+        });
+
+        stream.write(vinylFile);
+    });
+
+    stream.end();
+}
+
+function fillInputFiles(files, stream, tech = 'css') {
+    fillInputFileNames(files.map(file => `${file}.${tech}`), stream);
+}
+
+function fillInputFileNames(fileNames, stream) {
+    for (let fileName of fileNames) {
         let vinylFile = new File({
-            path: path.resolve(__dirname, `${file}.css`),
+            path: path.resolve(__dirname, fileName),
             contents: new Buffer('')
         });
 
@@ -37,6 +56,26 @@ function fillInputFiles(files, stream) {
     stream.end();
 }
 
+function expectOrder(files, stems) {
+    const outputStems = files.map(file => getFileStem(file.path));
+
+    for (let i = 1; i < stems.length; i++) {
+        expect(outputStems.indexOf(stems[i - 1])).to.be.below(outputStems.indexOf(stems[i]), `${stems[i - 1]} should go before ${stems[i]}`);
+    }
+}
+
+function runCliWithOutput(argv) {
+    const output = {stdout: '', stderr: ''};
+    const io = {
+        cwd: path.resolve(__dirname, 'cli'),
+        stdout: {write: chunk => output.stdout += chunk},
+        stderr: {write: chunk => output.stderr += chunk}
+    };
+
+    output.code = runCli(argv, io);
+    return output;
+}
+
 describe('gulp-order-bemdeps', () => {
     it('should not change order of files if no deps.js exist', () => {
         let stream = noop();
@@ -291,4 +330,1471 @@ describe('gulp-order-bemdeps', () => {
             expect(getFileStem(files[3].path)).to.equal('film-header__argument');
         });
     });
+
+    it('should reorder files in accordance to shouldDeps', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream);
+
+        // fill dependencies
+        fillDeps('deps-should', stream);
+
+        // now pipe input files
+        fillInputFiles(['block', 'mixins', 'variables'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expect(getFileStem(files[0].path)).to.equal('variables');
+            expect(getFileStem(files[1].path)).to.equal('mixins');
+            expect(getFileStem(files[2].path)).to.equal('block');
+        });
+    });
+
+    it('should relax shouldDeps which form circular dependency with mustDeps', () => {
+        let stream = noop();
+        let warnings = [];
+        let logger = {
+            warn: message => warnings.push(message),
+            error: () => {}
+        };
+        let myBemDepsOrder = bemDepsOrder(stream, {logger});
+
+        // fill dependencies
+        fillDeps('deps-should-circular', stream);
+
+        // now pipe input files
+        fillInputFiles(['button', 'input'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expect(files).to.have.length(2);
+            expect(getFileStem(files[0].path)).to.equal('input');
+            expect(getFileStem(files[1].path)).to.equal('button');
+
+            expect(warnings).to.have.length(1);
+            expect(warnings[0]).to.contain('shouldDeps of input on button is ignored');
+        });
+    });
+
+    it('should keep files with the same name from different directories', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream);
+
+        // fill dependencies
+        fillDeps('deps-simple-tree', stream);
+
+        // now pipe input files
+        fillInputFiles(['app/block', 'library/block', 'library/mixins', 'variables'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expect(files).to.have.length(4);
+            expect(getFileStem(files[0].path)).to.equal('variables');
+            expect(getFileStem(files[1].path)).to.equal('mixins');
+            expect(files[2].path).to.equal(path.resolve(__dirname, 'app/block.css'));
+            expect(files[3].path).to.equal(path.resolve(__dirname, 'library/block.css'));
+        });
+    });
+
+    it('should push files with the same name in redefinition levels order', () => {
+        let stream = noop();
+        let levels = [path.resolve(__dirname, 'library'), path.resolve(__dirname, 'app')];
+        let myBemDepsOrder = bemDepsOrder(stream, {levels});
+
+        // fill dependencies
+        fillDeps('deps-simple-tree', stream);
+
+        // now pipe input files
+        fillInputFiles(['app/block', 'app/mixins', 'library/block', 'library/mixins', 'variables'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expect(files.map(file => path.relative(__dirname, file.path))).to.deep.equal([
+                'variables.css',
+                'library/mixins.css',
+                'app/mixins.css',
+                'library/block.css',
+                'app/block.css'
+            ]);
+        });
+    });
+
+    it('should merge deps.js files from different redefinition levels', () => {
+        let stream = noop();
+        let levels = [path.resolve(__dirname, 'library'), path.resolve(__dirname, 'app')];
+        let myBemDepsOrder = bemDepsOrder(stream, {levels});
+
+        // fill dependencies
+        fillDeps('deps-levels', stream);
+
+        // now pipe input files
+        fillInputFiles(['block', 'mixins', 'variables'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expect(files).to.have.length(3);
+            expect(getFileStem(files[2].path)).to.equal('block');
+        });
+    });
+
+    it('should not cancel dependencies from later redefinition levels with noDeps', () => {
+        let stream = noop();
+        let levels = [path.resolve(__dirname, 'library'), path.resolve(__dirname, 'app')];
+        let myBemDepsOrder = bemDepsOrder(stream, {levels});
+
+        // fill dependencies
+        fillDeps('deps-levels-no-deps', stream);
+
+        // now pipe input files
+        fillInputFiles(['input', 'button'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expect(getFileStem(files[0].path)).to.equal('button');
+            expect(getFileStem(files[1].path)).to.equal('input');
+        });
+    });
+
+    it('should throw if unknown option is passed', () => {
+        expect(() => normalizeOptions({unknownOption: true})).to.throw('Unknown option: unknownOption');
+    });
+
+    it('should emit invalid options error on the output stream once', () => {
+        let loggedErrors = [];
+        let emittedErrors = [];
+        let myBemDepsOrder = bemDepsOrder(noop(), {
+            cycles: 'some',
+            logger: {
+                warn: () => {},
+                error: message => loggedErrors.push(message)
+            }
+        });
+
+        myBemDepsOrder.on('error', err => emittedErrors.push(err));
+        fillInputFiles(['button'], myBemDepsOrder);
+
+        return new Promise(resolve => setImmediate(resolve)).then(() => {
+            expect(emittedErrors).to.have.length(1);
+            expect(emittedErrors[0].plugin).to.equal('gulp-order-bemdeps');
+            expect(emittedErrors[0].message).to.contain('Invalid option cycles');
+            expect(loggedErrors).to.have.length(1);
+        });
+    });
+
+    it('should throw if option value is invalid', () => {
+        expect(() => normalizeOptions({levels: 'app/blocks'})).to.throw('Invalid option levels');
+        expect(() => normalizeOptions({logger: {}})).to.throw('Invalid option logger');
+        expect(() => normalizeOptions({naming: 'unknown'})).to.throw('Invalid option naming');
+        expect(() => normalizeOptions({naming: {elem: ''}})).to.throw('Invalid option naming');
+        expect(() => normalizeOptions({graph: {svg: 'graph.svg'}})).to.throw('Invalid option graph');
+        expect(() => normalizeOptions({index: {path: 'index.styl'}})).to.throw('Invalid option index');
+        expect(() => normalizeOptions({index: {path: 'index.scss', template: 'stylus'}})).to.throw('Invalid option index');
+        expect(() => normalizeOptions({depsSuffix: []})).to.throw('Invalid option depsSuffix');
+        expect(() => normalizeOptions({bestEffort: 'yes'})).to.throw('Invalid option bestEffort');
+        expect(() => normalizeOptions({layout: 'deep'})).to.throw('Invalid option layout');
+        expect(() => normalizeOptions({explain: [['page']]})).to.throw('Invalid option explain');
+        expect(() => normalizeOptions({basicDeps: 'all'})).to.throw('Invalid option basicDeps');
+        expect(() => normalizeOptions({basicDeps: {rules: ['unknown']}})).to.throw('Invalid option basicDeps');
+        expect(() => normalizeOptions({cycles: 'some'})).to.throw('Invalid option cycles');
+        expect(() => normalizeOptions({order: 'random'})).to.throw('Invalid option order');
+        expect(() => normalizeOptions({roots: [42]})).to.throw('Invalid option roots');
+        expect(() => normalizeOptions({chunks: {roots: {}}})).to.throw('Invalid option chunks');
+        expect(() => normalizeOptions({chunks: {roots: {common: ['page']}}})).to.throw('Invalid option chunks');
+        expect(() => normalizeOptions({report: {missing: 'fail'}})).to.throw('Invalid option report');
+    });
+
+    it('should use custom deps files suffix', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream, {depsSuffix: '.deps.custom.js'});
+
+        // fill dependencies
+        fillDeps('deps-simple-tree', stream, '.deps.custom.js');
+
+        // now pipe input files
+        fillInputFiles(['mixins', 'block', 'variables'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expect(getFileStem(files[0].path)).to.equal('variables');
+            expect(getFileStem(files[1].path)).to.equal('mixins');
+            expect(getFileStem(files[2].path)).to.equal('block');
+        });
+    });
+
+    it('should support two-dashes naming', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream, {naming: 'two-dashes'});
+
+        // fill dependencies
+        fillDeps('deps-mods', stream);
+
+        // now pipe input files
+        fillInputFiles(['film-header', 'argument--type_movie', 'film-header__argument'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expect(getFileStem(files[0].path)).to.equal('argument--type_movie');
+            expect(getFileStem(files[1].path)).to.equal('film-header');
+            expect(getFileStem(files[2].path)).to.equal('film-header__argument');
+        });
+    });
+
+    it('should support react naming', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream, {naming: 'react'});
+
+        // fill dependencies
+        fillDeps('deps-react', stream);
+
+        // now pipe input files
+        fillInputFiles(['FilmHeader-Title', 'FilmHeader', 'Argument-Title_size_s', 'Argument'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            const stems = files.map(file => getFileStem(file.path));
+
+            // Argument-Title_size_s is not required by FilmHeader so it keeps its input position after FilmHeader-Title
+            expect(stems).to.deep.equal(['Argument', 'FilmHeader', 'FilmHeader-Title', 'Argument-Title_size_s']);
+        });
+    });
+
+    it('should support custom naming delimiters', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream, {naming: {mod: '--', modVal: '--'}});
+
+        // fill dependencies
+        fillDeps('deps-block-with-modifier', stream);
+
+        // now pipe input files
+        fillInputFiles(['button', 'input--size--s', 'input__control', 'input'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            const stems = files.map(file => getFileStem(file.path));
+
+            expect(stems.indexOf('input')).to.be.below(stems.indexOf('input--size--s'));
+            expect(stems.indexOf('input')).to.be.below(stems.indexOf('input__control'));
+            expect(stems.indexOf('input--size--s')).to.be.below(stems.indexOf('button'));
+        });
+    });
+
+    it('should show deps file path, line and column if deps file has syntax error', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream, {logger: false});
+        let depsFilePath = path.resolve(__dirname, 'block.deps.js');
+
+        // fill dependencies
+        fillRawDeps({block: '({\n    mustDeps: [\n        {block: \'variables\'}\n    ]]\n})'}, stream);
+
+        // now pipe input files
+        fillInputFiles(['block'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(() => {
+            throw new Error('Stream should emit error');
+        }, err => {
+            expect(err.message).to.contain(`${depsFilePath}:4:6`);
+            expect(err.message).to.contain('SyntaxError');
+            expect(err.fileName).to.equal(depsFilePath);
+            expect(err.lineNumber).to.equal(4);
+        });
+    });
+
+    it('should not let deps files access build process globals', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream, {logger: false});
+        let depsFilePath = path.resolve(__dirname, 'block.deps.js');
+
+        // fill dependencies
+        fillRawDeps({block: '({\n    mustDeps: require(\'./variables\')\n})'}, stream);
+
+        // now pipe input files
+        fillInputFiles(['block'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(() => {
+            throw new Error('Stream should emit error');
+        }, err => {
+            expect(err.message).to.contain(`${depsFilePath}:2:15`);
+            expect(err.message).to.contain('require is not defined');
+        });
+    });
+
+    it('should not let deps files reach build process through context constructor', () => {
+        expect(() => resolveOrder({
+            files: ['page.css'],
+            deps: [{path: 'page.deps.js', contents: '({mustDeps: {block: this.constructor.constructor("return process.version")()}})'}]
+        })).to.throw('process is not defined');
+    });
+
+    it('should not call methods of deps file objects outside of the sandbox', () => {
+        const escape = 'Object.assign(["icon"], {reduce: function (callback) { throw new Error(callback.constructor("return typeof process")()); }})';
+        const result = resolveOrder({
+            files: ['page.css', 'button__icon.css'],
+            deps: [{path: 'page.deps.js', contents: `({mustDeps: {block: "button", elem: ${escape}}})`}]
+        });
+
+        expect(result.files).to.deep.equal(['button__icon.css', 'page.css']);
+        expect(() => resolveOrder({
+            files: ['page.css'],
+            deps: [{path: 'page.deps.js', contents: '(function () {})'}]
+        })).to.throw('deps should be JSON object or array');
+    });
+
+    it('should stop evaluating deps file getters after timeout', () => {
+        expect(() => resolveOrder({
+            files: ['page.css'],
+            deps: [{path: 'page.deps.js', contents: '({get mustDeps() { while (true) {} }})'}],
+            options: {depsTimeout: 50}
+        })).to.throw('Script execution timed out');
+    });
+
+    it('should stop evaluating deps file after timeout', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream, {logger: false, depsTimeout: 50});
+
+        // fill dependencies
+        fillRawDeps({block: '(function () { while (true) {} })()'}, stream);
+
+        // now pipe input files
+        fillInputFiles(['block'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(() => {
+            throw new Error('Stream should emit error');
+        }, err => {
+            expect(err.message).to.contain('block.deps.js');
+            expect(err.message).to.contain('timed out');
+        });
+    });
+
+    it('should resolve block-less deps.js entries using owning entity', () => {
+        let stream = noop();
+        let warnings = [];
+        let logger = {
+            warn: message => warnings.push(message),
+            error: () => {}
+        };
+        let myBemDepsOrder = bemDepsOrder(stream, {logger});
+        let blocks = ['link', 'button__icon', 'button__text', 'button__text_size_m', 'button_theme_dark', 'button__box', 'button'];
+
+        // fill dependencies
+        fillDeps('deps-context', stream);
+
+        // now pipe input files
+        fillInputFiles(blocks, myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            const stems = files.map(file => getFileStem(file.path));
+
+            expect(stems).to.have.length(blocks.length);
+            expect(stems).to.not.include('undefined__text');
+            expect(stems[0]).to.equal('button');
+            expect(stems.indexOf('button__text')).to.be.below(stems.indexOf('button__icon'));
+            expect(stems.indexOf('button__icon')).to.be.below(stems.indexOf('link'));
+            expect(stems.indexOf('button__box')).to.be.below(stems.indexOf('button_theme_dark'));
+
+            // button__text modifier depends on button__text, so that shouldDeps is relaxed
+            expect(warnings.join('\n')).to.contain('shouldDeps of button__text on button__text_size_m is ignored');
+        });
+    });
+
+    it('should reorder files if deps.js files contain elem array', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream);
+
+        // fill dependencies
+        fillDeps('deps-elem-array', stream);
+
+        // now pipe input files
+        fillInputFiles(['page', 'header__menu', 'header__logo', 'header'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expectOrder(files, ['header', 'header__menu', 'page']);
+            expectOrder(files, ['header', 'header__logo', 'page']);
+        });
+    });
+
+    it('should reorder files if deps.js files contain elems objects with mods', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream);
+
+        // fill dependencies
+        fillDeps('deps-elems-objects', stream);
+
+        // now pipe input files
+        fillInputFiles(['page', 'header__menu_theme_dark', 'header__logo', 'header__menu', 'header'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expectOrder(files, ['header', 'header__menu', 'header__menu_theme_dark', 'page']);
+            expectOrder(files, ['header', 'header__logo', 'page']);
+        });
+    });
+
+    it('should reorder files if deps.js files contain elem with mods', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream);
+
+        // fill dependencies
+        fillDeps('deps-elem-with-mods', stream);
+
+        // now pipe input files
+        fillInputFiles(['page', 'header__menu_fixed', 'header__menu_theme_dark', 'header__menu_theme', 'header'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expectOrder(files, ['header', 'header__menu_theme', 'header__menu_theme_dark', 'page']);
+            expectOrder(files, ['header', 'header__menu_fixed', 'page']);
+        });
+    });
+
+    it('should reorder files if deps.js files contain val array', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream);
+
+        // fill dependencies
+        fillDeps('deps-val-array', stream);
+
+        // now pipe input files
+        fillInputFiles(['page', 'button_size_m', 'button_size_s', 'button'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expectOrder(files, ['button', 'button_size_m', 'page']);
+            expectOrder(files, ['button', 'button_size_s', 'page']);
+        });
+    });
+
+    it('should cancel dependencies from other levels with noDeps', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream);
+
+        // fill dependencies
+        fillDeps('deps-no-deps', stream);
+
+        // now pipe input files
+        fillInputFiles(['input', 'button'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expect(getFileStem(files[0].path)).to.equal('button');
+            expect(getFileStem(files[1].path)).to.equal('input');
+        });
+    });
+
+    it('should skip tech-scoped deps.js sections if files technology is different', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream);
+
+        // fill dependencies
+        fillDeps('deps-tech', stream);
+
+        // now pipe input files
+        fillInputFiles(['i-bem', 'button'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expect(getFileStem(files[0].path)).to.equal('button');
+            expect(getFileStem(files[1].path)).to.equal('i-bem');
+        });
+    });
+
+    it('should apply tech-scoped deps.js sections if files technology matches', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream, {logger: false});
+
+        // fill dependencies
+        fillDeps('deps-tech', stream);
+
+        // now pipe input files
+        fillInputFiles(['i-bem', 'button'], myBemDepsOrder, 'js');
+
+        return collectStreamFiles(myBemDepsOrder).then(() => {
+            throw new Error('Stream should emit error');
+        }, err => {
+            expect(err.message).to.contain('circular dependency');
+        });
+    });
+
+    it('should skip dependencies on other technologies', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream);
+
+        // fill dependencies
+        fillDeps('deps-dependency-tech', stream);
+
+        // now pipe input files
+        fillInputFiles(['i-bem', 'button'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expect(getFileStem(files[0].path)).to.equal('button');
+            expect(getFileStem(files[1].path)).to.equal('i-bem');
+        });
+    });
+
+    it('should apply elem-scoped deps.js sections to the element', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream);
+
+        // fill dependencies
+        fillDeps('deps-elem-section', stream);
+
+        // now pipe input files
+        fillInputFiles(['button__icon', 'icon', 'button'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expect(getFileStem(files[0].path)).to.equal('button');
+            expect(getFileStem(files[1].path)).to.equal('icon');
+            expect(getFileStem(files[2].path)).to.equal('button__icon');
+        });
+    });
+
+    it('should keep files of the same entity with different technologies', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream);
+
+        // fill dependencies
+        fillDeps('deps-techs', stream);
+
+        // now pipe input files
+        fillInputFileNames(['button.js', 'button.post.css', 'input.post.css', 'button.css', 'input.css', 'input.js'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            const names = files.map(file => path.basename(file.path));
+
+            expect(names).to.have.length(6);
+            expect(names.indexOf('input.css')).to.be.below(names.indexOf('button.css'));
+            expect(names.indexOf('input.post.css')).to.be.below(names.indexOf('button.post.css'));
+            expect(names.indexOf('input.js')).to.be.below(names.indexOf('button.js'));
+        });
+    });
+
+    it('should group files by technologies order', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream, {techs: ['css', 'post.css']});
+
+        // fill dependencies
+        fillDeps('deps-techs', stream);
+
+        // now pipe input files
+        fillInputFileNames(['button.js', 'button.post.css', 'input.post.css', 'button.css', 'input.css', 'input.js'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expect(files.map(file => path.basename(file.path))).to.deep.equal([
+                'input.css',
+                'button.css',
+                'input.post.css',
+                'button.post.css',
+                'input.js',
+                'button.js'
+            ]);
+        });
+    });
+
+    it('should pass dependency graph to the callback', () => {
+        let stream = noop();
+        let graph;
+        let myBemDepsOrder = bemDepsOrder(stream, {
+            graph: {
+                callback: data => graph = data
+            }
+        });
+
+        // fill dependencies
+        fillDeps('deps-hidden-dependency', stream);
+
+        // now pipe input files
+        fillInputFiles(['block__elem', 'variables'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expect(files).to.have.length(2);
+
+            const nodes = graph.nodes.reduce((output, node) => Object.assign(output, {[node.id]: node}), {});
+            expect(nodes['block.css'].virtual).to.be.true;
+            expect(nodes['variables.css'].virtual).to.be.false;
+            expect(nodes['variables.css'].files).to.deep.equal([path.resolve(__dirname, 'variables.css')]);
+
+            const depsEdge = graph.edges.find(edge => edge.from === 'variables.css');
+            expect(depsEdge.to).to.equal('block.css');
+            expect(depsEdge.strength).to.equal('must');
+            expect(depsEdge.origins).to.deep.equal([{type: 'deps', file: path.resolve(__dirname, 'block.deps.js'), strength: 'must', entry: {block: 'variables'}}]);
+
+            const basicEdge = graph.edges.find(edge => edge.from === 'block.css');
+            expect(basicEdge.to).to.equal('block__elem.css');
+            expect(basicEdge.origins).to.deep.equal([{type: 'basic', rule: 'parent'}]);
+        });
+    });
+
+    it('should push dependency graph files into the stream', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream, {
+            graph: {
+                json: 'graph.json',
+                dot: 'graph.dot'
+            }
+        });
+
+        // fill dependencies
+        fillDeps('deps-simple-tree', stream);
+
+        // now pipe input files
+        fillInputFiles(['mixins', 'block', 'variables'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expect(files).to.have.length(5);
+            expect(files[3].relative).to.equal('graph.json');
+            expect(files[4].relative).to.equal('graph.dot');
+
+            const graph = JSON.parse(files[3].contents.toString());
+            expect(graph.nodes).to.have.length(3);
+            expect(graph.edges).to.have.length(2);
+
+            const dot = files[4].contents.toString();
+            expect(dot).to.contain('digraph');
+            expect(dot).to.contain('"mixins.css" -> "block.css";');
+            expect(dot).to.contain('"variables.css" -> "mixins.css";');
+        });
+    });
+
+    it('should show circular dependency path with deps.js files which form it', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream, {logger: false});
+
+        // fill dependencies
+        fillDeps('deps-circular', stream);
+
+        // now pipe input files
+        fillInputFiles(['some-block'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(() => {
+            throw new Error('Stream should emit error');
+        }, err => {
+            expect(err.message.match(/circular dependency/g)).to.have.length(1);
+            expect(err.message).to.contain('mixins -> variables -> admin-post -> mixins');
+            expect(err.message).to.contain(`mixins -> variables: mustDeps in ${path.resolve(__dirname, 'mixins.deps.js')}`);
+            expect(err.message).to.contain(`variables -> admin-post: mustDeps in ${path.resolve(__dirname, 'variables.deps.js')}`);
+            expect(err.message).to.contain(`admin-post -> mixins: mustDeps in ${path.resolve(__dirname, 'admin-post.deps.js')}`);
+        });
+    });
+
+    it('should show all circular dependencies if cycles option is set', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream, {logger: false, cycles: 'all'});
+
+        // fill dependencies
+        fillDeps('deps-circular', stream);
+
+        // now pipe input files
+        fillInputFiles(['some-block'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(() => {
+            throw new Error('Stream should emit error');
+        }, err => {
+            expect(err.message.match(/circular dependency/g)).to.have.length(2);
+            expect(err.message).to.contain('mixins -> variables -> admin-post -> mixins');
+            expect(err.message).to.contain('admin-post -> variables -> admin-post');
+            expect(err.message).to.contain(`admin-post -> variables: mustDeps in ${path.resolve(__dirname, 'admin-post.deps.js')}`);
+        });
+    });
+
+    it('should annotate basic dependencies in circular dependency path', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream, {logger: false});
+
+        // fill dependencies
+        fillDeps('deps-basic-circular', stream);
+
+        // now pipe input files
+        fillInputFiles(['block', 'block__elem'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(() => {
+            throw new Error('Stream should emit error');
+        }, err => {
+            expect(err.message).to.contain('block__elem -> block: basic dependency from BEM naming');
+        });
+    });
+
+    it('should push only files required by roots', () => {
+        let stream = noop();
+        let warnings = [];
+        let logger = {
+            warn: message => warnings.push(message),
+            error: () => {}
+        };
+        let myBemDepsOrder = bemDepsOrder(stream, {roots: ['page'], reportPruned: true, logger});
+
+        // fill dependencies
+        fillDeps('deps-roots', stream);
+
+        // now pipe input files
+        fillInputFiles(['sidebar', 'page', 'header__menu', 'footer', 'header', 'logo'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            const stems = files.map(file => getFileStem(file.path));
+
+            expect(stems).to.have.members(['page', 'footer', 'header', 'logo']);
+            expectOrder(files, ['logo', 'header', 'page']);
+            expectOrder(files, ['footer', 'page']);
+
+            expect(warnings).to.have.length(1);
+            expect(warnings[0]).to.contain(path.resolve(__dirname, 'sidebar.css'));
+            expect(warnings[0]).to.contain(path.resolve(__dirname, 'header__menu.css'));
+        });
+    });
+
+    it('should read roots from bemdecl.js file', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream, {roots: path.resolve(__dirname, 'decl/page.bemdecl.js')});
+
+        // fill dependencies
+        fillDeps('deps-roots', stream);
+
+        // now pipe input files
+        fillInputFiles(['sidebar__item', 'page', 'header__menu', 'footer', 'header', 'logo'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            const stems = files.map(file => getFileStem(file.path));
+            expect(stems).to.have.members(['page', 'footer', 'header', 'logo', 'sidebar__item']);
+        });
+    });
+
+    it('should read roots from JSON declaration file', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream, {roots: path.resolve(__dirname, 'decl/page.bemdecl.json')});
+
+        // fill dependencies
+        fillDeps('deps-roots', stream);
+
+        // now pipe input files
+        fillInputFiles(['sidebar', 'page', 'header__menu', 'footer', 'header', 'logo'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            const stems = files.map(file => getFileStem(file.path));
+
+            expect(stems).to.have.members(['header__menu', 'header', 'logo']);
+            expectOrder(files, ['logo', 'header', 'header__menu']);
+        });
+    });
+
+    it('should report missing and unused entities', () => {
+        let stream = noop();
+        let warnings = [];
+        let logger = {
+            warn: message => warnings.push(message),
+            error: () => {}
+        };
+        let myBemDepsOrder = bemDepsOrder(stream, {
+            report: {
+                missing: 'warn',
+                unused: 'warn',
+                orphanDeps: 'warn'
+            },
+            logger
+        });
+
+        // fill dependencies
+        fillDeps('deps-report', stream);
+
+        // now pipe input files
+        fillInputFiles(['admin-post', 'variables', 'button', 'extra'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expect(files).to.have.length(4);
+            expect(warnings).to.have.length(3);
+
+            expect(warnings[0]).to.contain('Dependencies without input files');
+            expect(warnings[0]).to.contain(`i-bem__dom (${path.resolve(__dirname, 'button.deps.js')})`);
+            expect(warnings[0]).to.not.contain('variables');
+
+            expect(warnings[1]).to.contain('Input files which are not referenced by deps.js files');
+            expect(warnings[1]).to.contain(path.resolve(__dirname, 'admin-post.css'));
+            expect(warnings[1]).to.contain(path.resolve(__dirname, 'extra.css'));
+            expect(warnings[1]).to.not.contain('button.css');
+
+            expect(warnings[2]).to.contain('Deps.js files of entities without input files');
+            expect(warnings[2]).to.contain(path.resolve(__dirname, 'old-block.deps.js'));
+        });
+    });
+
+    it('should emit error if report category severity is error', () => {
+        let stream = noop();
+        let warnings = [];
+        let logger = {
+            warn: message => warnings.push(message),
+            error: () => {}
+        };
+        let myBemDepsOrder = bemDepsOrder(stream, {
+            report: {
+                missing: 'error',
+                unused: 'ignore',
+                orphanDeps: 'warn'
+            },
+            logger
+        });
+
+        // fill dependencies
+        fillDeps('deps-report', stream);
+
+        // now pipe input files
+        fillInputFiles(['admin-post', 'variables', 'button', 'extra'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(() => {
+            throw new Error('Stream should emit error');
+        }, err => {
+            expect(err.message).to.contain('Dependencies without input files');
+            expect(err.message).to.contain('i-bem__dom');
+
+            expect(warnings).to.have.length(1);
+            expect(warnings[0]).to.contain('old-block.deps.js');
+        });
+    });
+
+    it('should keep input order of files without dependencies between them', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream);
+
+        // fill dependencies
+        fillDeps('deps-order', stream);
+
+        // now pipe input files
+        fillInputFiles(['page', 'header', 'footer', 'variables'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expect(files.map(file => getFileStem(file.path))).to.deep.equal(['page', 'footer', 'variables', 'header']);
+        });
+    });
+
+    it('should order files without dependencies between them alphabetically if order option is set', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream, {order: 'alphabetical'});
+
+        // fill dependencies
+        fillDeps('deps-order', stream);
+
+        // now pipe input files
+        fillInputFiles(['page', 'header', 'footer', 'variables'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expect(files.map(file => getFileStem(file.path))).to.deep.equal(['footer', 'page', 'variables', 'header']);
+        });
+    });
+
+    it('should resolve order of plain files without streams', () => {
+        const result = resolveOrder({
+            files: ['button.css', 'input.css', 'page.css'],
+            deps: [
+                {path: 'button.deps.js', contents: '({mustDeps: [{block: "input"}]})'},
+                {path: 'input.deps.js', contents: Buffer.from('({shouldDeps: [{block: "button"}]})')}
+            ],
+            options: {logger: false}
+        });
+
+        expect(result.files).to.deep.equal(['input.css', 'button.css', 'page.css']);
+        expect(result.pruned).to.deep.equal([]);
+        expect(result.graph.nodes).to.have.length(3);
+        expect(result.warnings).to.have.length(1);
+        expect(result.warnings[0]).to.contain('shouldDeps of input on button is ignored');
+    });
+
+    it('should return the same file objects which are passed to resolveOrder', () => {
+        const files = [{path: 'button.css'}, {path: 'input.css'}];
+        const result = resolveOrder({
+            files,
+            deps: [{path: 'button.deps.js', contents: '({mustDeps: [{block: "input"}]})'}],
+            options: {roots: ['input']}
+        });
+
+        expect(result.files).to.have.length(1);
+        expect(result.files[0]).to.equal(files[1]);
+        expect(result.pruned[0]).to.equal(files[0]);
+    });
+
+    it('should throw if deps file can not be read', () => {
+        expect(() => resolveOrder({
+            files: ['button.css'],
+            deps: [path.resolve(__dirname, 'missing.deps.js')]
+        })).to.throw('Failed to read deps file');
+    });
+
+    it('should print ordered files in command line tool', () => {
+        const {code, stdout} = runCliWithOutput(['blocks/**/*.css', '--deps', 'blocks/**/*.deps.js']);
+
+        expect(code).to.equal(0);
+        expect(stdout).to.equal('blocks/input/input.css\nblocks/button/button.css\nblocks/page/page.css\n');
+    });
+
+    it('should print ordered files as JSON and imports list in command line tool', () => {
+        const json = runCliWithOutput(['blocks/**/*.css', '-d', 'blocks/**/*.deps.js', '--root=button', '--format=json']);
+        expect(JSON.parse(json.stdout)).to.deep.equal(['blocks/input/input.css', 'blocks/button/button.css']);
+
+        const imports = runCliWithOutput(['blocks/**/*.css', '-d', 'blocks/**/*.deps.js', '-f', 'imports']);
+        expect(imports.stdout.split('\n')[0]).to.equal('@import "blocks/input/input.css";');
+    });
+
+    it('should exit with non-zero code if files can not be ordered in command line tool', () => {
+        const circular = runCliWithOutput(['circular/*.css', '--deps', 'circular/*.deps.js']);
+        expect(circular.code).to.equal(1);
+        expect(circular.stdout).to.equal('');
+        expect(circular.stderr).to.contain('circular dependency in css files');
+
+        const invalid = runCliWithOutput(['invalid/*.css']);
+        expect(invalid.code).to.equal(1);
+        expect(invalid.stderr).to.contain('Invalid bem naming used: button__');
+    });
+
+    it('should exit with usage error if command line arguments are invalid', () => {
+        expect(runCliWithOutput([]).code).to.equal(2);
+        expect(runCliWithOutput(['blocks/**/*.css', '--unknown']).stderr).to.contain('Unknown option: --unknown');
+        expect(runCliWithOutput(['blocks/**/*.css', '--format', 'xml']).stderr).to.contain('Unknown format: xml');
+        expect(runCliWithOutput(['blocks/**/*.css', '--order', 'random']).code).to.equal(2);
+        expect(runCliWithOutput(['--help']).stdout).to.contain('Usage: gulp-order-bemdeps');
+    });
+
+    it('should push index file instead of ordered files if index option is set', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream, {
+            index: {path: path.resolve(__dirname, 'index.scss')}
+        });
+
+        // fill dependencies
+        fillDeps('deps-order', stream);
+
+        // now pipe input files
+        fillInputFiles(['page', 'header', 'variables'], myBemDepsOrder, 'scss');
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expect(files).to.have.length(1);
+            expect(files[0].path).to.equal(path.resolve(__dirname, 'index.scss'));
+            expect(files[0].contents.toString()).to.equal('@import "page.scss";\n@import "variables.scss";\n@import "header.scss";\n');
+        });
+    });
+
+    it('should use index file template and base', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream, {
+            index: {
+                path: path.resolve(__dirname, 'build/index.js'),
+                template: 'commonjs',
+                base: path.resolve(__dirname, 'build')
+            }
+        });
+
+        // fill dependencies
+        fillDeps('deps-order', stream);
+
+        // now pipe input files
+        fillInputFiles(['header', 'variables'], myBemDepsOrder, 'js');
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expect(files[0].contents.toString()).to.equal('require("../variables.js");\nrequire("../header.js");\n');
+        });
+    });
+
+    it('should reuse parsed deps.js files which have not changed', () => {
+        const cache = createDepsCache();
+        const files = ['header.css', 'footer.css', 'variables.css'];
+        const headerDeps = {path: 'header.deps.js', contents: '({mustDeps: [{block: "variables"}]})'};
+        const footerDeps = {path: 'footer.deps.js', contents: '({mustDeps: [{block: "variables"}]})'};
+
+        resolveOrder({files, deps: [headerDeps, footerDeps], cache});
+        const headerDependencies = cache.parsed.get('header.deps.js').dependencies;
+        const footerDependencies = cache.parsed.get('footer.deps.js').dependencies;
+
+        const result = resolveOrder({
+            files,
+            deps: [headerDeps, {path: 'footer.deps.js', contents: '({})'}],
+            cache
+        });
+
+        expect(result.files).to.deep.equal(['footer.css', 'variables.css', 'header.css']);
+        expect(cache.parsed.get('header.deps.js').dependencies).to.equal(headerDependencies);
+        expect(cache.parsed.get('footer.deps.js').dependencies).to.not.equal(footerDependencies);
+
+        resolveOrder({files, deps: [headerDeps], cache});
+        expect(cache.parsed.has('footer.deps.js')).to.equal(false);
+    });
+
+    it('should patch cached graph with changed deps.js files only', () => {
+        const cache = createDepsCache();
+        const files = ['lib/header.css', 'app/header.css', 'footer.css', 'variables.css', 'mixins.css'];
+        const options = {levels: ['lib', 'app']};
+        const libDeps = {path: 'lib/header.deps.js', contents: '({mustDeps: [{block: "variables"}]})'};
+        const appDeps = {path: 'app/header.deps.js', contents: '({noDeps: [{block: "variables"}]})'};
+        const footerDeps = {path: 'footer.deps.js', contents: '({shouldDeps: [{block: "mixins"}]})'};
+        const getGraph = deps => resolveOrder({files, deps, options}).graph;
+
+        resolveOrder({files, deps: [appDeps, libDeps, footerDeps], options, cache});
+        let footerContribution = cache.graph.files.get('footer.deps.js');
+
+        const changedDeps = [appDeps, libDeps, {path: 'footer.deps.js', contents: '({mustDeps: [{block: "header"}]})'}];
+        const result = resolveOrder({files, deps: changedDeps, options, cache});
+
+        expect(result.graph).to.deep.equal(getGraph(changedDeps));
+        expect(cache.graph.files.get('footer.deps.js')).to.not.equal(footerContribution);
+        footerContribution = cache.graph.files.get('footer.deps.js');
+
+        const restoredDeps = [{path: 'app/header.deps.js', contents: '({})'}, libDeps, changedDeps[2]];
+        const restored = resolveOrder({files, deps: restoredDeps, options, cache});
+
+        expect(restored.graph).to.deep.equal(getGraph(restoredDeps));
+        expect(restored.files.indexOf('variables.css')).to.be.below(restored.files.indexOf('lib/header.css'));
+        expect(cache.graph.files.get('footer.deps.js')).to.equal(footerContribution);
+
+        const removed = resolveOrder({files, deps: [libDeps], options, cache});
+
+        expect(removed.graph).to.deep.equal(getGraph([libDeps]));
+        expect([...cache.graph.files.keys()]).to.deep.equal(['lib/header.deps.js']);
+        expect([...cache.graph.nodes.keys()]).to.have.members(['variables.css', 'header.css']);
+    });
+
+    it('should drop cached basic dependencies of removed input files', () => {
+        const cache = createDepsCache();
+
+        resolveOrder({files: ['button.css', 'button__icon.css', 'button_theme_dark.css'], cache});
+        expect([...cache.basic.keys()]).to.have.members(['button', 'button__icon', 'button_theme_dark']);
+
+        resolveOrder({files: ['button.css', 'button__icon.css'], cache});
+        expect([...cache.basic.keys()]).to.have.members(['button', 'button__icon']);
+    });
+
+    it('should reorder files again using the same plugin instance', () => {
+        const myBemDepsOrder = createInstance({logger: false});
+        const run = (deps, files) => {
+            let stream = noop();
+            let output = myBemDepsOrder(stream);
+
+            fillRawDeps(deps, stream);
+            fillInputFiles(files, output);
+
+            return collectStreamFiles(output).then(outputFiles => outputFiles.map(file => getFileStem(file.path)));
+        };
+
+        return run({header: '({mustDeps: [{block: "variables"}]})'}, ['header', 'variables']).then(stems => {
+            expect(stems).to.deep.equal(['variables', 'header']);
+            return run({header: '({})'}, ['header', 'variables']);
+        }).then(stems => {
+            expect(stems).to.deep.equal(['header', 'variables']);
+            return run({header: '({mustDeps: [{block: "variables"}]})'}, ['header', 'variables', 'footer']);
+        }).then(stems => {
+            expect(stems).to.deep.equal(['variables', 'header', 'footer']);
+        });
+    });
+
+    it('should accept object map of deps declarations', () => {
+        let myBemDepsOrder = bemDepsOrder(require('./deps/deps-order'));
+
+        // now pipe input files
+        fillInputFiles(['header', 'variables'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expectOrder(files, ['variables', 'header']);
+        });
+    });
+
+    it('should accept deps glob and list of vinyl files', () => {
+        const inputFiles = ['cli/blocks/button/button.css', 'cli/blocks/input/input.css'];
+        const globOrder = bemDepsOrder(path.resolve(__dirname, 'cli/blocks/**/*.deps.js'));
+        const filesOrder = bemDepsOrder([
+            new File({
+                path: path.resolve(__dirname, 'cli/blocks/button/button.deps.js'),
+                contents: new Buffer('({mustDeps: [{block: "input"}]})')
+            })
+        ]);
+
+        fillInputFileNames(inputFiles, globOrder);
+        fillInputFileNames(inputFiles, filesOrder);
+
+        return Promise.all([
+            collectStreamFiles(globOrder),
+            collectStreamFiles(filesOrder)
+        ]).then(([globFiles, filesFiles]) => {
+            expectOrder(globFiles, ['input', 'button']);
+            expectOrder(filesFiles, ['input', 'button']);
+        });
+    });
+
+    it('should emit error if deps are invalid', () => {
+        let endedStream = noop();
+        endedStream.resume();
+        endedStream.end();
+
+        const getErrors = deps => {
+            const errors = [];
+            const myBemDepsOrder = bemDepsOrder(deps, {logger: false});
+
+            myBemDepsOrder.on('error', err => errors.push(err.message));
+            fillInputFiles(['button'], myBemDepsOrder);
+
+            return new Promise(resolve => setImmediate(() => resolve(errors)));
+        };
+
+        return collectStreamFiles(endedStream).then(() => Promise.all([
+            getErrors(endedStream),
+            getErrors(42),
+            getErrors([{block: 'button'}]),
+            getErrors({button: 'input'})
+        ])).then(errors => {
+            expect(errors.map(list => list.length)).to.deep.equal([1, 1, 1, 1]);
+            expect(errors[0][0]).to.contain('Deps stream has already ended');
+            expect(errors[1][0]).to.contain('Invalid deps');
+            expect(errors[2][0]).to.contain('Invalid deps');
+            expect(errors[3][0]).to.contain('Invalid deps declaration of button');
+        });
+    });
+
+    it('should load JSON, CommonJS and ES module deps files', () => {
+        const result = resolveOrder({
+            files: ['page.css', 'header.css', 'footer.css', 'variables.css'],
+            deps: [
+                {path: 'header.deps.json', contents: '{"mustDeps": [{"block": "variables"}]}'},
+                {path: 'footer.deps.js', contents: 'module.exports = {mustDeps: [{block: "header"}]};'},
+                {path: 'page.deps.js', contents: 'export default [{mustDeps: {block: "footer"}}];'}
+            ]
+        });
+
+        expect(result.files).to.deep.equal(['variables.css', 'header.css', 'footer.css', 'page.css']);
+    });
+
+    it('should not take commented out exports for CommonJS and ES module deps files', () => {
+        const result = resolveOrder({
+            files: ['page.css', 'header.css', 'variables.css'],
+            deps: [
+                {path: 'page.deps.js', contents: '// was: module.exports = {}\n({mustDeps: {block: "header"}})'},
+                {path: 'header.deps.js', contents: '/*\nexport default {}\n*/\n({mustDeps: {block: "variables"}})'}
+            ]
+        });
+
+        expect(result.files).to.deep.equal(['variables.css', 'header.css', 'page.css']);
+    });
+
+    it('should not let CommonJS deps files reach build process through module object', () => {
+        const load = contents => resolveOrder({
+            files: ['page.css'],
+            deps: [{path: 'page.deps.js', contents}]
+        });
+
+        expect(() => load('module.exports = {mustDeps: {block: module.constructor.constructor("return process.pid")()}};'))
+            .to.throw('process is not defined');
+        expect(() => load('module.exports = {mustDeps: {block: exports.constructor.constructor("return process.pid")()}};'))
+            .to.throw('process is not defined');
+    });
+
+    it('should use the list of deps files suffixes', () => {
+        const result = resolveOrder({
+            files: ['header.css', 'variables.css'],
+            deps: [{path: 'header.bem.json', contents: '{"mustDeps": {"block": "variables"}}'}],
+            options: {depsSuffix: ['.deps.js', '.bem.json']}
+        });
+
+        expect(result.files).to.deep.equal(['variables.css', 'header.css']);
+        expect(() => resolveOrder({
+            files: ['header.css'],
+            deps: [{path: 'header.deps.json', contents: '{mustDeps: []}'}]
+        })).to.throw('Failed to parse header.deps.json');
+    });
+
+    it('should emit deps stream error on the output stream once', () => {
+        let stream = noop();
+        let loggedErrors = [];
+        let emittedErrors = [];
+        let myBemDepsOrder = bemDepsOrder(stream, {
+            logger: {
+                warn: () => {},
+                error: message => loggedErrors.push(message)
+            }
+        });
+
+        myBemDepsOrder.on('error', err => emittedErrors.push(err));
+        stream.emit('error', new Error('Failed to read deps'));
+
+        return new Promise(resolve => setImmediate(resolve)).then(() => {
+            // input stream is finished after the failure
+            fillInputFiles(['button'], myBemDepsOrder);
+            return new Promise(resolve => setImmediate(resolve));
+        }).then(() => {
+            expect(emittedErrors).to.have.length(1);
+            expect(emittedErrors[0].plugin).to.equal('gulp-order-bemdeps');
+            expect(emittedErrors[0].message).to.contain('Failed to read deps');
+            expect(loggedErrors).to.have.length(1);
+        });
+    });
+
+    it('should emit error of the piped input stream on the output stream', () => {
+        let stream = noop();
+        let input = noop();
+        let myBemDepsOrder = bemDepsOrder(stream, {logger: false});
+
+        fillDeps('deps-order', stream);
+        input.pipe(myBemDepsOrder);
+
+        const outputPromise = collectStreamFiles(myBemDepsOrder);
+        input.emit('error', new Error('Failed to read input'));
+
+        return outputPromise.then(() => {
+            throw new Error('Stream should emit error');
+        }, err => {
+            expect(err.plugin).to.equal('gulp-order-bemdeps');
+            expect(err.message).to.contain('Failed to read input');
+        });
+    });
+
+    it('should order files anyway in best-effort mode', () => {
+        const result = resolveOrder({
+            files: ['page.css', 'header.css', 'variables.css', 'button__.css'],
+            deps: [
+                {path: 'header.deps.js', contents: '({mustDeps: [{block: "variables"}]})'},
+                {path: 'variables.deps.js', contents: '({mustDeps: [{block: "header"}]})'},
+                {path: 'page.deps.js', contents: '({mustDeps: [{block: "header"}]'}
+            ],
+            options: {bestEffort: true, logger: false}
+        });
+
+        expect(result.files).to.deep.equal(['page.css', 'variables.css', 'header.css', 'button__.css']);
+        expect(result.warnings).to.have.length(3);
+        expect(result.warnings[0]).to.contain('page.deps.js is ignored');
+        expect(result.warnings[1]).to.contain('Basic dependencies of button__.css are ignored');
+        expect(result.warnings[2]).to.contain('circular dependency in css files');
+    });
+
+    it('should take entities from nested layout directories', () => {
+        const result = resolveOrder({
+            files: [
+                'blocks/button/__icon/_size/button__icon_size_s.css',
+                'blocks/page/index.css',
+                'blocks/button/__icon/button__icon.css',
+                'blocks/button/button.css'
+            ],
+            deps: [
+                {path: 'blocks/page/index.deps.js', contents: '({mustDeps: [{block: "button", elem: "icon", mods: {size: "s"}}]})'}
+            ],
+            options: {layout: 'nested', levels: ['blocks']}
+        });
+
+        expect(result.files).to.deep.equal([
+            'blocks/button/button.css',
+            'blocks/button/__icon/button__icon.css',
+            'blocks/button/__icon/_size/button__icon_size_s.css',
+            'blocks/page/index.css'
+        ]);
+    });
+
+    it('should throw if file name does not match nested layout path', () => {
+        const params = {
+            files: ['blocks/button/__icon/button__text.css', 'blocks/button/_theme/button_theme_dark.css'],
+            options: {layout: 'nested', levels: ['blocks'], logger: false}
+        };
+
+        expect(() => resolveOrder(params)).to.throw('blocks/button/__icon/button__text.css should belong to button__icon');
+
+        params.options.bestEffort = true;
+        const result = resolveOrder(params);
+
+        expect(result.files).to.have.length(2);
+        expect(result.warnings).to.have.length(1);
+    });
+
+    it('should use configurable basic dependencies rules', () => {
+        const files = ['button_theme_dark__icon.css', 'button_theme_dark.css', 'button.css', 'button__icon.css'];
+        const getOrder = basicDeps => resolveOrder({files, options: {basicDeps}}).files;
+
+        expect(getOrder('default')).to.deep.equal([
+            'button.css',
+            'button_theme_dark.css',
+            'button_theme_dark__icon.css',
+            'button__icon.css'
+        ]);
+
+        expect(getOrder({rules: ['parent', 'elemOfModifiedBlock']})).to.deep.equal([
+            'button.css',
+            'button_theme_dark.css',
+            'button__icon.css',
+            'button_theme_dark__icon.css'
+        ]);
+
+        expect(getOrder('none')).to.deep.equal(files);
+
+        // custom rule: every entity depends on `page` block
+        const page = bemNaming => (bemNaming.block === 'page') ? [] : [{block: 'page'}];
+        expect(resolveOrder({files: files.concat('page.css'), options: {basicDeps: {rules: [page]}}}).files[0]).to.equal('page.css');
+
+        const invalidRule = () => ['button'];
+        expect(() => getOrder({rules: [invalidRule]})).to.throw('Basic dependencies rule should return an array of BEM entities');
+    });
+
+    it('should not add boolean modifier dependencies if booleanMods is off', () => {
+        const getOrder = basicDeps => resolveOrder({
+            files: ['page.css', 'button_theme_dark.css', 'button_theme.css'],
+            deps: [{path: 'page.deps.js', contents: '({mustDeps: {block: "button", mods: {theme: "dark"}}})'}],
+            options: {basicDeps}
+        }).files;
+
+        expect(getOrder('default')).to.deep.equal(['button_theme.css', 'button_theme_dark.css', 'page.css']);
+        expect(getOrder({rules: ['parentSkippingBooleanMods'], booleanMods: false}))
+            .to.deep.equal(['button_theme_dark.css', 'page.css', 'button_theme.css']);
+    });
+
+    it('should explain relative order of two entities', () => {
+        const params = {
+            files: ['page.css', 'header.css', 'footer.css', 'button.css', 'button_theme_dark.css'],
+            deps: [
+                {path: 'page.deps.js', contents: '({mustDeps: [{block: "header"}, {block: "footer"}]})'},
+                {path: 'header.deps.js', contents: '({shouldDeps: {block: "button", mods: {theme: "dark"}}})'}
+            ],
+            options: {explain: [['page', 'button'], ['footer', 'button.css']], logger: false}
+        };
+
+        const [related, unrelated] = resolveOrder(params).explanations;
+
+        expect(related.related).to.be.true;
+        expect(related.chain.map(edge => [edge.from, edge.to])).to.deep.equal([
+            ['button.css', 'button_theme.css'],
+            ['button_theme.css', 'header.css'],
+            ['header.css', 'page.css']
+        ]);
+        expect(related.message).to.equal([
+            'button goes before page: page -> header -> button_theme -> button',
+            '    page -> header: mustDeps in page.deps.js: {"block":"header"}',
+            '    header -> button_theme: shouldDeps in header.deps.js: {"block":"button","mods":{"theme":"dark"}}',
+            '    button_theme -> button: basic dependency from BEM naming (parent rule)'
+        ].join('\n'));
+
+        expect(unrelated.related).to.be.false;
+        expect(unrelated.chain).to.be.empty;
+        expect(unrelated.message).to.contain('footer and button.css have no dependency chain between them');
+
+        const {graph} = resolveOrder(Object.assign({}, params, {options: {}}));
+        expect(() => explainOrder(graph, 'page', 'menu')).to.throw('Entity menu is not found in the dependency graph');
+        expect(explainOrder(graph, 'page', 'footer').chain).to.have.length(1);
+    });
+
+    it('should split files into common and per-page chunks', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream, {
+            chunks: {roots: {index: ['index'], about: ['about']}, common: 'base'},
+            reportPruned: true,
+            logger: false
+        });
+
+        // fill dependencies
+        fillDeps('deps-chunks', stream);
+
+        // now pipe input files
+        fillInputFiles(['about', 'index', 'team', 'promo', 'sidebar', 'header', 'mixins', 'variables'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            const chunks = files.map(file => [getFileStem(file.path), file.bemChunk]);
+
+            expect(chunks).to.deep.equal([
+                ['variables', 'base'],
+                ['header', 'base'],
+                ['promo', 'index'],
+                ['index', 'index'],
+                ['mixins', 'about'],
+                ['team', 'about'],
+                ['about', 'about']
+            ]);
+        });
+    });
+
+    it('should return chunks from resolveOrder', () => {
+        const result = resolveOrder({
+            files: ['index.css', 'about.css', 'header.css', 'sidebar.css'],
+            deps: [
+                {path: 'index.deps.js', contents: '({mustDeps: {block: "header"}})'},
+                {path: 'about.deps.js', contents: '({mustDeps: {block: "header"}})'}
+            ],
+            options: {chunks: {roots: {index: ['index'], about: [{block: 'about'}]}}}
+        });
+
+        expect(result.chunks).to.deep.equal([
+            {name: 'common', files: ['header.css']},
+            {name: 'index', files: ['index.css']},
+            {name: 'about', files: ['about.css']}
+        ]);
+        expect(result.files).to.deep.equal(['header.css', 'index.css', 'about.css']);
+        expect(result.pruned).to.deep.equal(['sidebar.css']);
+
+        expect(resolveOrder({files: ['index.css']}).chunks).to.be.null;
+        expect(() => resolveOrder({files: [], options: {chunks: {roots: {index: ['index']}}, roots: ['index']}}))
+            .to.throw('Option chunks can\'t be used together with roots and index options');
+    });
+
+    it('should export dependency graph if files have circular dependency', () => {
+        let stream = noop();
+        let graph;
+        let pushedFiles = [];
+        let myBemDepsOrder = bemDepsOrder(stream, {
+            graph: {json: 'graph.json', callback: data => graph = data},
+            logger: false
+        });
+
+        myBemDepsOrder.on('data', file => pushedFiles.push(file));
+
+        // fill dependencies
+        fillDeps('deps-circular', stream);
+
+        // now pipe input files
+        fillInputFiles(['some-block'], myBemDepsOrder);
+
+        return new Promise(resolve => myBemDepsOrder.on('error', resolve)).then(err => {
+            expect(err.message).to.contain('circular dependency');
+            expect(err.graph).to.equal(graph);
+            expect(graph.edges.map(edge => [edge.from, edge.to])).to.deep.include(['mixins.css', 'admin-post.css']);
+
+            expect(pushedFiles.map(file => file.relative)).to.deep.equal(['graph.json']);
+            expect(JSON.parse(pushedFiles[0].contents.toString())).to.deep.equal(graph);
+        });
+    });
+
+    it('should not report implied boolean modifiers as missing dependencies', () => {
+        const deps = [{path: 'page.deps.js', contents: '({mustDeps: {block: "button", mods: {theme: "dark"}}})'}];
+        const result = resolveOrder({
+            files: ['page.css', 'button.css', 'button_theme_dark.css'],
+            deps,
+            options: {report: {missing: 'error'}}
+        });
+
+        expect(result.files).to.deep.equal(['button.css', 'button_theme_dark.css', 'page.css']);
+
+        // file of the implied boolean modifier is not reported as unused either
+        const {warnings} = resolveOrder({
+            files: ['page.css', 'button_theme.css', 'button_theme_dark.css'],
+            deps,
+            options: {report: {unused: 'warn'}, logger: false}
+        });
+
+        expect(warnings).to.deep.equal(['Input files which are not referenced by deps.js files:\n    page.css']);
+    });
+
+    it('should throw if root entity is not found in the dependency graph', () => {
+        const params = {
+            files: ['page.css', 'button_theme_dark.css'],
+            options: {roots: ['pgae', {block: 'button', mods: {theme: 'dark'}}], logger: false}
+        };
+
+        expect(() => resolveOrder(params)).to.throw('Root entities are not found in the dependency graph: pgae');
+
+        params.options.bestEffort = true;
+        const result = resolveOrder(params);
+
+        expect(result.files).to.deep.equal(['button_theme_dark.css']);
+        expect(result.warnings).to.have.length(1);
+        expect(result.warnings[0]).to.contain('Roots which are not found are ignored');
+    });
+
+    it('should read string deps entries as block names', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream);
+
+        // fill dependencies
+        fillDeps('deps-string-entries', stream);
+
+        // now pipe input files
+        fillInputFiles(['page', 'footer', 'i-bem', 'header'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(files => {
+            expectOrder(files, ['header', 'page']);
+            expectOrder(files, ['i-bem', 'page']);
+            expectOrder(files, ['footer', 'page']);
+        });
+    });
+
+    it('should emit error with deps file path if deps entry is invalid', () => {
+        let stream = noop();
+        let myBemDepsOrder = bemDepsOrder(stream, {logger: false});
+
+        // fill dependencies
+        fillDeps('deps-invalid-entry', stream);
+
+        // now pipe input files
+        fillInputFiles(['page', 'header'], myBemDepsOrder);
+
+        return collectStreamFiles(myBemDepsOrder).then(() => {
+            throw new Error('Stream should emit error');
+        }, err => {
+            expect(err.message).to.equal(`Invalid deps entry in ${path.resolve(__dirname, 'page.deps.js')}: null`);
+        });
+    });
 });